@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// Command-line diff using the same engine as the web page.
+//
+//   node bin/diff.mjs old.js new.js            colored unified diff
+//   node bin/diff.mjs --json old.js new.js     diff as JSON
+//   node bin/diff.mjs -q old.js new.js         exit status only
+//
+// Exit status: 0 if the files do not differ, 1 if they do, 2 on errors.
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createDiffGenerator, UnifiedPatch } from '../engine.mjs';
+
+const USAGE = `Usage: diff.mjs [options] <original> <modified>
+
+Options:
+  -U, --unified <n>              lines of context (default 3)
+      --json                     print the diff as JSON
+  -q, --quiet                    print nothing, only set the exit status
+      --color <when>             auto (default), always or never
+      --algorithm <name>         auto (default), lcs or myers
+  -i, --ignore-case              ignore case differences
+  -b, --ignore-space-change      ignore leading and trailing whitespace
+  -w, --ignore-all-space         ignore all whitespace changes
+  -B, --ignore-blank-lines       ignore inserted or removed blank lines
+      --strip-trailing-cr        ignore CRLF vs LF line endings
+  -I, --ignore-matching-lines <regex>
+                                 ignore lines matching the regex (repeatable)
+  -h, --help                     show this help
+
+Exit status is 0 if the inputs are the same, 1 if different, 2 if trouble.`;
+
+const COLORS = {
+    header: '\x1b[1m',
+    hunk: '\x1b[36m',
+    deletion: '\x1b[31m',
+    addition: '\x1b[32m',
+    reset: '\x1b[0m'
+};
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            unified: { type: 'string', short: 'U', default: '3' },
+            json: { type: 'boolean', default: false },
+            quiet: { type: 'boolean', short: 'q', default: false },
+            color: { type: 'string', default: 'auto' },
+            algorithm: { type: 'string', default: 'auto' },
+            'ignore-case': { type: 'boolean', short: 'i', default: false },
+            'ignore-space-change': { type: 'boolean', short: 'b', default: false },
+            'ignore-all-space': { type: 'boolean', short: 'w', default: false },
+            'ignore-blank-lines': { type: 'boolean', short: 'B', default: false },
+            'strip-trailing-cr': { type: 'boolean', default: false },
+            'ignore-matching-lines': { type: 'string', short: 'I', multiple: true, default: [] },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) return { help: true };
+    if (positionals.length !== 2) {
+        throw new Error('expected two files to compare');
+    }
+
+    const contextLines = Number(values.unified);
+    if (!Number.isInteger(contextLines) || contextLines < 0) {
+        throw new Error(`invalid context length "${values.unified}"`);
+    }
+    if (!['auto', 'always', 'never'].includes(values.color)) {
+        throw new Error(`invalid --color "${values.color}" (use auto, always or never)`);
+    }
+    if (!['auto', 'lcs', 'myers'].includes(values.algorithm)) {
+        throw new Error(`unknown algorithm "${values.algorithm}" (use auto, lcs or myers)`);
+    }
+
+    // Same rule order as the page: line endings first, whitespace last
+    const rules = [
+        ...(values['strip-trailing-cr'] ? [{ type: 'ignoreLineEndings' }] : []),
+        ...values['ignore-matching-lines'].map(pattern => ({ type: 'ignoreMatching', pattern: pattern })),
+        ...(values['ignore-all-space'] ? [{ type: 'ignoreAllWhitespace' }] : []),
+        ...(values['ignore-blank-lines'] ? [{ type: 'ignoreBlankLines' }] : [])
+    ];
+
+    return {
+        files: positionals,
+        json: values.json,
+        quiet: values.quiet,
+        color: values.color === 'always' ||
+            (values.color === 'auto' && process.stdout.isTTY && !process.env.NO_COLOR),
+        diffOptions: {
+            contextLines: contextLines,
+            algorithm: values.algorithm,
+            ignoreCase: values['ignore-case'],
+            ignoreWhitespace: values['ignore-space-change'],
+            detectMoves: false,
+            metric: 'lcs',
+            rules: rules
+        }
+    };
+}
+
+function colorize(patch) {
+    return patch.split('\n').map(line => {
+        let color = null;
+        if (line.startsWith('--- ') || line.startsWith('+++ ')) color = COLORS.header;
+        else if (line.startsWith('@@')) color = COLORS.hunk;
+        else if (line.startsWith('-')) color = COLORS.deletion;
+        else if (line.startsWith('+')) color = COLORS.addition;
+        return color && line ? color + line + COLORS.reset : line;
+    }).join('\n');
+}
+
+// Hunks with the no-newline marker turned into a flag
+function toJSON(files, diff, differs) {
+    const line = entry => {
+        const json = {
+            type: entry.type,
+            content: entry.content.replace(/\n$/, ''),
+            oldLine: entry.origLineNum,
+            newLine: entry.modLineNum
+        };
+        if (entry.content.endsWith('\n')) json.noNewlineAtEnd = true;
+        if (entry.ignored) json.ignored = true;
+        return json;
+    };
+
+    return {
+        original: files[0],
+        modified: files[1],
+        differs: differs,
+        stats: diff.stats,
+        hunks: diff.hunks.map(hunk => ({
+            oldStart: hunk.oldStart,
+            oldLines: hunk.oldLines,
+            newStart: hunk.newStart,
+            newLines: hunk.newLines,
+            lines: hunk.lines.map(line)
+        }))
+    };
+}
+
+function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+
+    const [originalPath, modifiedPath] = options.files;
+    const original = readFileSync(originalPath, 'utf8');
+    const modified = readFileSync(modifiedPath, 'utf8');
+
+    const generator = createDiffGenerator(options.diffOptions);
+    const unifiedPatch = new UnifiedPatch(generator);
+    const diff = generator.diffLines(unifiedPatch.splitFile(original), unifiedPatch.splitFile(modified));
+    // Lines a rule ignores are shown in the output but do not count as differences
+    const differs = diff.unified.some(line => line.type !== 'unchanged' && !line.ignored);
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(toJSON(options.files, diff, differs), null, 2) + '\n');
+    } else if (!options.quiet && differs) {
+        const patch = unifiedPatch.createPatch(original, modified, {
+            contextLines: options.diffOptions.contextLines,
+            originalName: originalPath,
+            modifiedName: modifiedPath
+        });
+        process.stdout.write(options.color ? colorize(patch) : patch);
+    }
+
+    return differs ? 1 : 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`diff.mjs: ${error.message}\n`);
+    if (error.code !== 'ENOENT') process.stderr.write(`Try 'diff.mjs --help' for more information.\n`);
+    process.exitCode = 2;
+}
@@ -0,0 +1,41 @@
+// The diff engine as an ES module for Node. script.js stays a classic
+// script for the browser and its worker, and exports its classes when
+// Node loads it, so both share one implementation.
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const engine = require('./script.js');
+
+export const {
+    LCSAlgorithm,
+    MyersDiff,
+    SequenceMetrics,
+    SyntaxTokenizer,
+    LineNormalizer,
+    DiffGenerator,
+    UnifiedPatch,
+    YAMLParser,
+    StructuralDiff,
+    ThreeWayMerge
+} = engine;
+
+// A DiffGenerator set up with the given options (the same ones the page
+// uses: ignoreWhitespace, ignoreCase, algorithm, contextLines, rules, ...)
+export function createDiffGenerator(options = {}) {
+    const generator = new DiffGenerator(new LCSAlgorithm());
+    generator.setOptions(options);
+    return generator;
+}
+
+// Diff two texts line by line: { original, modified, unified, hunks, moves, stats, ... }
+export function diffText(original, modified, options = {}) {
+    return createDiffGenerator(options).generateDiff(original, modified);
+}
+
+// GNU unified diff of two texts, or '' when they do not differ. The texts
+// are compared exactly so the patch rebuilds `modified`: of the diff
+// options only algorithm is used, ignore options and rules are not.
+export function createPatch(original, modified, options = {}) {
+    const generator = createDiffGenerator({ algorithm: options.algorithm, detectMoves: false });
+    return new UnifiedPatch(generator).createPatch(original, modified, options);
+}
@@ -8,14 +8,16 @@ class LCSAlgorithm {
         this.lcs = [];
     }
 
-    // Compute LCS using Dynamic Programming
-    computeLCS(arr1, arr2) {
+    // Compute LCS using Dynamic Programming. onProgress, if given, is
+    // called with the fraction of the table filled so far.
+    computeLCS(arr1, arr2, onProgress) {
         const m = arr1.length;
         const n = arr2.length;
         this.dpTable = Array(m + 1).fill(0).map(() => Array(n + 1).fill(0));
 
         // Build DP table
         for (let i = 1; i <= m; i++) {
+            if (onProgress) onProgress(i / m);
             for (let j = 1; j <= n; j++) {
                 if (arr1[i - 1] === arr2[j - 1]) {
                     this.dpTable[i][j] = this.dpTable[i - 1][j - 1] + 1;
@@ -50,7 +52,8 @@ class LCSAlgorithm {
         };
     }
 
-    // Calculate edit distance (Levenshtein distance)
+    // Insertions + deletions implied by the LCS (no substitutions, so this
+    // is not Levenshtein - see SequenceMetrics for that)
     calculateEditDistance(arr1, arr2) {
         const m = arr1.length;
         const n = arr2.length;
@@ -63,7 +66,7 @@ class LCSAlgorithm {
         return deletions + insertions;
     }
 
-    // Calculate similarity percentage
+    // LCS length as a percentage of the longer input
     calculateSimilarity(arr1, arr2) {
         if (arr1.length === 0 && arr2.length === 0) return 100;
         if (arr1.length === 0 || arr2.length === 0) return 0;
@@ -75,494 +78,4465 @@ class LCSAlgorithm {
     }
 }
 
-class DiffGenerator {
-    constructor(lcsAlgorithm) {
-        this.lcs = lcsAlgorithm;
-        this.ignoreWhitespace = false;
-        this.ignoreCase = false;
+// Myers' O(ND) diff with the linear-space "middle snake" refinement.
+// Produces the same { lcs, dpTable, length } shape as LCSAlgorithm, but never
+// allocates an m × n table, so it stays fast on very large inputs.
+class MyersDiff {
+    constructor() {
+        this.dpTable = [];
+        this.lcs = [];
+        this.onProgress = null;
     }
 
-    setOptions(options) {
-        this.ignoreWhitespace = options.ignoreWhitespace || false;
-        this.ignoreCase = options.ignoreCase || false;
+    computeLCS(arr1, arr2, onProgress) {
+        // Intern lines as integers so the inner loops compare numbers, not strings
+        const ids = new Map();
+        const intern = line => {
+            if (!ids.has(line)) ids.set(line, ids.size);
+            return ids.get(line);
+        };
+        const ids1 = arr1.map(intern);
+        const ids2 = arr2.map(intern);
+
+        // Lines that only exist on one side can never match, so drop them up
+        // front; this keeps wholesale rewrites from degrading to O(N²)
+        const inFirst = new Set(ids1);
+        const inSecond = new Set(ids2);
+        const index1 = [];
+        const index2 = [];
+        ids1.forEach((id, i) => { if (inSecond.has(id)) index1.push(i); });
+        ids2.forEach((id, j) => { if (inFirst.has(id)) index2.push(j); });
+        const a = Int32Array.from(index1, i => ids1[i]);
+        const b = Int32Array.from(index2, j => ids2[j]);
+
+        const matches = [];
+        this.onProgress = onProgress && a.length > 0 ? aEnd => onProgress(aEnd / a.length) : null;
+        this.diffRange(a, 0, a.length, b, 0, b.length, matches);
+        this.onProgress = null;
+
+        this.lcs = matches.map(([x, y]) => {
+            const i = index1[x];
+            const j = index2[y];
+            return { line: arr1[i], i: i, j: j };
+        });
+
+        return {
+            lcs: this.lcs,
+            dpTable: this.dpTable,
+            length: this.lcs.length
+        };
     }
 
-    processLine(line) {
-        let processed = line;
-        if (this.ignoreWhitespace) {
-            processed = processed.trim();
+    // Collect matching [i, j] pairs for a[aLo..aHi) vs b[bLo..bHi), in order
+    diffRange(a, aLo, aHi, b, bLo, bHi, matches) {
+        // Strip common prefix
+        while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+            matches.push([aLo, bLo]);
+            aLo++;
+            bLo++;
         }
-        if (this.ignoreCase) {
-            processed = processed.toLowerCase();
+
+        // Strip common suffix (pushed after the middle section)
+        let suffixLength = 0;
+        while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) {
+            aHi--;
+            bHi--;
+            suffixLength++;
         }
-        return processed;
-    }
 
-    generateDiff(original, modified) {
-        // Split into lines
-        const originalLines = original.split('\n').map(line => line);
-        const modifiedLines = modified.split('\n').map(line => line);
+        // Only insertions or only deletions left
+        if (aLo < aHi && bLo < bHi) {
+            const [x, y, u, v] = this.middleSnake(a, aLo, aHi, b, bLo, bHi);
+            this.diffRange(a, aLo, x, b, bLo, y, matches);
+            for (let k = 0; k < u - x; k++) {
+                matches.push([x + k, y + k]);
+            }
+            this.diffRange(a, u, aHi, b, v, bHi, matches);
+        }
 
-        // Process lines for comparison
-        const processedOriginal = originalLines.map(line => this.processLine(line));
-        const processedModified = modifiedLines.map(line => this.processLine(line));
+        for (let k = 0; k < suffixLength; k++) {
+            matches.push([aHi + k, bHi + k]);
+        }
 
-        // Compute LCS
-        const lcsResult = this.lcs.computeLCS(processedOriginal, processedModified);
-        
-        // Create LCS set for quick lookup
-        const lcsSet = new Set(lcsResult.lcs.map(item => item.line));
+        // Ranges finish left to right, so everything before aHi is settled
+        if (this.onProgress) this.onProgress(aHi + suffixLength);
+    }
 
-        // Generate diff
-        const diffOriginal = [];
-        const diffModified = [];
-        const unified = [];
+    // Find the middle snake of an optimal edit path, returned as
+    // absolute [startX, startY, endX, endY] coordinates
+    middleSnake(a, aLo, aHi, b, bLo, bHi) {
+        const n = aHi - aLo;
+        const m = bHi - bLo;
+        const delta = n - m;
+        const odd = (delta & 1) !== 0;
+        const max = Math.ceil((n + m) / 2);
+        const offset = max + 1;
+        const forward = new Int32Array(2 * max + 3);
+        const backward = new Int32Array(2 * max + 3);
 
-        let origIdx = 0;
-        let modIdx = 0;
+        for (let d = 0; d <= max; d++) {
+            // Forward search from the top-left corner
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])) {
+                    x = forward[offset + k + 1];
+                } else {
+                    x = forward[offset + k - 1] + 1;
+                }
+                let y = x - k;
+                const startX = x;
+                const startY = y;
+                while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+                    x++;
+                    y++;
+                }
+                forward[offset + k] = x;
 
-        // Track line numbers
-        let origLineNum = 1;
-        let modLineNum = 1;
+                const reverseK = delta - k;
+                if (odd && reverseK >= -(d - 1) && reverseK <= d - 1 &&
+                    x + backward[offset + reverseK] >= n) {
+                    return [aLo + startX, bLo + startY, aLo + x, bLo + y];
+                }
+            }
 
-        while (origIdx < originalLines.length || modIdx < modifiedLines.length) {
-            const origLine = origIdx < originalLines.length ? processedOriginal[origIdx] : null;
-            const modLine = modIdx < modifiedLines.length ? processedModified[modIdx] : null;
+            // Backward search from the bottom-right corner
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])) {
+                    x = backward[offset + k + 1];
+                } else {
+                    x = backward[offset + k - 1] + 1;
+                }
+                let y = x - k;
+                const startX = x;
+                const startY = y;
+                while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+                    x++;
+                    y++;
+                }
+                backward[offset + k] = x;
 
-            if (origLine !== null && modLine !== null && origLine === modLine) {
-                // Unchanged line (both lines match)
-                diffOriginal.push({
-                    type: 'unchanged',
-                    content: originalLines[origIdx],
-                    lineNum: origLineNum
-                });
-                diffModified.push({
-                    type: 'unchanged',
-                    content: modifiedLines[modIdx],
-                    lineNum: modLineNum
-                });
-                unified.push({
-                    type: 'unchanged',
-                    content: originalLines[origIdx],
-                    origLineNum: origLineNum,
-                    modLineNum: modLineNum
-                });
-                origIdx++;
-                modIdx++;
-                origLineNum++;
-                modLineNum++;
-            } else if (origLine !== null && (modLine === null || !lcsSet.has(origLine))) {
-                // Deletion (or end of modified)
-                diffOriginal.push({
-                    type: 'deletion',
-                    content: originalLines[origIdx],
-                    lineNum: origLineNum
-                });
-                diffModified.push({
-                    type: 'empty',
-                    content: '',
-                    lineNum: null
-                });
-                unified.push({
-                    type: 'deletion',
-                    content: originalLines[origIdx],
-                    origLineNum: origLineNum,
-                    modLineNum: null
-                });
-                origIdx++;
-                origLineNum++;
-            } else if (modLine !== null) {
-                // Addition (or line doesn't match)
-                diffOriginal.push({
-                    type: 'empty',
-                    content: '',
-                    lineNum: null
-                });
-                diffModified.push({
-                    type: 'addition',
-                    content: modifiedLines[modIdx],
-                    lineNum: modLineNum
-                });
-                unified.push({
-                    type: 'addition',
-                    content: modifiedLines[modIdx],
-                    origLineNum: null,
-                    modLineNum: modLineNum
-                });
-                modIdx++;
-                modLineNum++;
-            } else {
-                // Safety fallback - should never reach here, but prevents infinite loop
-                break;
+                const forwardK = delta - k;
+                if (!odd && forwardK >= -d && forwardK <= d &&
+                    x + forward[offset + forwardK] >= n) {
+                    return [aHi - x, bHi - y, aHi - startX, bHi - startY];
+                }
             }
         }
 
-        // Calculate statistics
-        const additions = diffModified.filter(d => d.type === 'addition').length;
-        const deletions = diffOriginal.filter(d => d.type === 'deletion').length;
-        const changes = Math.min(additions, deletions);
+        // Unreachable for valid input: an edit path always exists within max steps
+        return [aLo, bLo, aLo, bLo];
+    }
 
-        return {
-            original: diffOriginal,
-            modified: diffModified,
-            unified: unified,
-            stats: {
-                additions: additions,
-                deletions: deletions,
-                changes: changes,
-                similarity: this.lcs.calculateSimilarity(processedOriginal, processedModified),
-                editDistance: this.lcs.calculateEditDistance(processedOriginal, processedModified)
-            },
-            lcsResult: lcsResult
-        };
+    // Edit distance = deletions + insertions
+    calculateEditDistance(arr1, arr2) {
+        return (arr1.length - this.lcs.length) + (arr2.length - this.lcs.length);
+    }
+
+    calculateSimilarity(arr1, arr2) {
+        if (arr1.length === 0 && arr2.length === 0) return 100;
+        if (arr1.length === 0 || arr2.length === 0) return 0;
+
+        const maxLength = Math.max(arr1.length, arr2.length);
+
+        return ((this.lcs.length / maxLength) * 100).toFixed(1);
     }
 }
 
-// ===================================
-// UI Controller
-// ===================================
+// Edit distances and similarities between two sequences: arrays of lines,
+// or strings compared character by character. Each measure returns
+// { distance, similarity (0-1), table } where table holds the DP matrix and
+// the cells on an optimal path, only when keepTable is set. Inputs needing
+// more than maxCells DP cells are not measured (null).
+class SequenceMetrics {
+    constructor(maxCells = METRIC_MAX_CELLS) {
+        this.maxCells = maxCells;
+    }
 
-class DiffVisualizerUI {
-    constructor() {
-        this.lcsAlgorithm = new LCSAlgorithm();
-        this.diffGenerator = new DiffGenerator(this.lcsAlgorithm);
-        this.currentMode = 'side-by-side';
-        this.currentDiff = null;
-        
-        this.initializeElements();
-        this.attachEventListeners();
-        this.loadExamples();
+    measure(metric, a, b, keepTable = false) {
+        // Levenshtein checks its own band size as it widens
+        if (metric !== 'levenshtein' && a.length * b.length > this.maxCells) return null;
+
+        switch (metric) {
+            case 'lcs':
+                return this.lcsDistance(a, b, keepTable);
+            case 'levenshtein':
+                return keepTable ? this.levenshteinTable(a, b) : this.levenshtein(a, b);
+            case 'damerau':
+                return this.damerauLevenshtein(a, b, keepTable);
+            case 'jaro-winkler':
+                return this.jaroWinkler(a, b, keepTable);
+            default:
+                throw new Error(`Unknown metric "${metric}"`);
+        }
     }
 
-    initializeElements() {
-        // Editors
-        this.originalCodeEditor = document.getElementById('originalCode');
-        this.modifiedCodeEditor = document.getElementById('modifiedCode');
-        
-        // Containers
-        this.editorsContainer = document.getElementById('editorsContainer');
-        this.diffOutput = document.getElementById('diffOutput');
-        
-        // Views
-        this.sideBySideView = document.getElementById('sideBySideView');
-        this.unifiedView = document.getElementById('unifiedView');
-        this.lcsTableView = document.getElementById('lcsTableView');
-        
-        // Diff content
-        this.originalDiff = document.getElementById('originalDiff');
-        this.modifiedDiff = document.getElementById('modifiedDiff');
-        this.unifiedDiff = document.getElementById('unifiedDiff');
-        this.lcsTableContainer = document.getElementById('lcsTableContainer');
-        
-        // Buttons
-        this.compareBtn = document.getElementById('compareBtn');
-        this.clearBtn = document.getElementById('clearBtn');
-        this.swapBtn = document.getElementById('swapBtn');
-        this.backToEditBtn = document.getElementById('backToEditBtn');
-        
-        // Options
-        this.ignoreWhitespace = document.getElementById('ignoreWhitespace');
-        this.ignoreCase = document.getElementById('ignoreCase');
-        this.showLineNumbers = document.getElementById('showLineNumbers');
-        
-        // Stats
-        this.additionsCount = document.getElementById('additionsCount');
-        this.deletionsCount = document.getElementById('deletionsCount');
-        this.changesCount = document.getElementById('changesCount');
-        this.similarityPercent = document.getElementById('similarityPercent');
-        this.editDistance = document.getElementById('editDistance');
-        
-        // Mode buttons
-        this.modeButtons = document.querySelectorAll('.mode-btn');
+    // Distances are relative to the longer sequence
+    similarityFor(distance, a, b) {
+        const longest = Math.max(a.length, b.length);
+        return longest === 0 ? 1 : 1 - distance / longest;
     }
 
-    attachEventListeners() {
-        // Compare button
-        this.compareBtn.addEventListener('click', () => this.compareCode());
-        
-        // Clear button
-        this.clearBtn.addEventListener('click', () => this.clearAll());
-        
-        // Swap button
-        this.swapBtn.addEventListener('click', () => this.swapCode());
-        
-        // Back to edit button
-        this.backToEditBtn.addEventListener('click', () => this.backToEdit());
-        
-        // Mode buttons
-        this.modeButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const mode = e.currentTarget.dataset.mode;
-                this.switchMode(mode);
-            });
-        });
-        
-        // Example buttons
-        document.querySelectorAll('.example-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const example = e.currentTarget.dataset.example;
-                this.loadExample(example);
-            });
-        });
-        
-        // Options change - auto-recompare if diff is shown
-        [this.ignoreWhitespace, this.ignoreCase].forEach(option => {
-            option.addEventListener('change', () => {
-                if (this.currentDiff) {
-                    this.compareCode();
-                }
-            });
-        });
-        
-        // Show line numbers toggle
-        this.showLineNumbers.addEventListener('change', () => {
-            if (this.currentDiff) {
-                this.renderDiff(this.currentDiff);
+    // Insertions and deletions only - what a line diff reports
+    lcsDistance(a, b, keepTable) {
+        const m = a.length;
+        const n = b.length;
+        const rows = [new Int32Array(n + 1)];
+        let prev = rows[0];
+
+        for (let i = 1; i <= m; i++) {
+            const cur = new Int32Array(n + 1);
+            for (let j = 1; j <= n; j++) {
+                cur[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], cur[j - 1]);
             }
-        });
+            if (keepTable) rows.push(cur);
+            prev = cur;
+        }
+
+        const length = prev[n];
+        const longest = Math.max(m, n);
+        return {
+            distance: m + n - 2 * length,
+            similarity: longest === 0 ? 1 : length / longest,
+            table: keepTable ? { matrix: rows, path: this.lcsPath(rows, a, b) } : null
+        };
     }
 
-    loadExamples() {
-        this.examples = {
-            function: {
-                original: `function calculateTotal(items) {
-    let total = 0;
-    for (let i = 0; i < items.length; i++) {
-        total += items[i].price;
+    lcsPath(rows, a, b) {
+        const path = [];
+        let i = a.length, j = b.length;
+        while (i > 0 && j > 0) {
+            if (a[i - 1] === b[j - 1]) {
+                path.push([i, j]);
+                i--;
+                j--;
+            } else if (rows[i - 1][j] > rows[i][j - 1]) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+        return path.reverse();
     }
-    return total;
-}`,
-                modified: `function calculateTotal(items, taxRate = 0) {
-    let subtotal = 0;
-    for (const item of items) {
-        subtotal += item.price * item.quantity;
+
+    // Ukkonen's band: an answer of at most k never leaves the cells with
+    // |i - j| <= k, so try k = 32, 64, ... until the result fits the band.
+    // Similar files finish in O(n * distance) instead of O(m * n).
+    levenshtein(a, b) {
+        if (a.length < b.length) [a, b] = [b, a];
+        const m = a.length;
+        const n = b.length;
+
+        for (let k = Math.max(m - n, 32); ; k *= 2) {
+            if (m * Math.min(2 * k + 1, n + 1) > this.maxCells) return null;
+            const distance = this.bandedLevenshtein(a, b, Math.min(k, m));
+            if (distance <= k || k >= m) {
+                return { distance: distance, similarity: this.similarityFor(distance, a, b), table: null };
+            }
+        }
     }
-    const tax = subtotal * taxRate;
-    return subtotal + tax;
-}`
-            },
-            html: {
-                original: `<div class="header">
-    <h1>Welcome</h1>
-    <p>Hello World</p>
-</div>`,
-                modified: `<header class="site-header">
-    <h1>Welcome to Our Site</h1>
-    <p>Hello World!</p>
-    <nav>
-        <a href="/">Home</a>
-    </nav>
-</header>`
-            },
-            json: {
-                original: `{
-    "name": "myapp",
-    "version": "1.0.0",
-    "dependencies": {
-        "react": "^17.0.0",
-        "lodash": "^4.17.0"
+
+    bandedLevenshtein(a, b, k) {
+        const m = a.length;
+        const n = b.length;
+        const outside = m + n + 1;
+        let prev = new Int32Array(n + 1).fill(outside);
+        let cur = new Int32Array(n + 1).fill(outside);
+        for (let j = 0; j <= Math.min(n, k); j++) prev[j] = j;
+
+        for (let i = 1; i <= m; i++) {
+            const lo = Math.max(0, i - k);
+            const hi = Math.min(n, i + k);
+            if (lo > 0) cur[lo - 1] = outside;
+            if (lo === 0) cur[0] = i;
+
+            for (let j = Math.max(1, lo); j <= hi; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                cur[j] = Math.min(prev[j - 1] + cost, prev[j] + 1, cur[j - 1] + 1);
+            }
+            if (hi < n) cur[hi + 1] = outside;
+            [prev, cur] = [cur, prev];
+        }
+
+        return prev[n];
     }
-}`,
-                modified: `{
-    "name": "myapp",
-    "version": "2.0.0",
-    "description": "My awesome app",
-    "dependencies": {
-        "react": "^18.0.0",
-        "axios": "^1.0.0"
+
+    levenshteinTable(a, b) {
+        const m = a.length;
+        const n = b.length;
+        const rows = [];
+        for (let i = 0; i <= m; i++) {
+            const row = new Int32Array(n + 1);
+            row[0] = i;
+            for (let j = 1; j <= n; j++) {
+                row[j] = i === 0 ? j : Math.min(
+                    rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+                    rows[i - 1][j] + 1,
+                    row[j - 1] + 1
+                );
+            }
+            rows.push(row);
+        }
+
+        const distance = rows[m][n];
+        return {
+            distance: distance,
+            similarity: this.similarityFor(distance, a, b),
+            table: { matrix: rows, path: this.editPath(rows, a, b) }
+        };
+    }
+
+    // Unrestricted Damerau-Levenshtein (Lowrance-Wagner): transposed items
+    // may also have other edits between them. The working matrix has an
+    // extra border row and column; the table shown is the usual (m+1) x (n+1).
+    damerauLevenshtein(a, b, keepTable) {
+        const m = a.length;
+        const n = b.length;
+        const infinity = m + n;
+        const d = [];
+        for (let i = 0; i <= m + 1; i++) {
+            d.push(new Int32Array(n + 2));
+            d[i][0] = infinity;
+            if (i > 0) d[i][1] = i - 1;
+        }
+        for (let j = 1; j <= n + 1; j++) {
+            d[0][j] = infinity;
+            d[1][j] = j - 1;
+        }
+
+        // Last row where each item was seen in a
+        const lastRow = new Map();
+        for (let i = 1; i <= m; i++) {
+            let lastMatchCol = 0;
+            for (let j = 1; j <= n; j++) {
+                const k = lastRow.get(b[j - 1]) || 0;
+                const l = lastMatchCol;
+                let cost = 1;
+                if (a[i - 1] === b[j - 1]) {
+                    cost = 0;
+                    lastMatchCol = j;
+                }
+                d[i + 1][j + 1] = Math.min(
+                    d[i][j] + cost,
+                    d[i + 1][j] + 1,
+                    d[i][j + 1] + 1,
+                    d[k][l] + (i - k - 1) + 1 + (j - l - 1)
+                );
+            }
+            lastRow.set(a[i - 1], i);
+        }
+
+        const distance = d[m + 1][n + 1];
+        let table = null;
+        if (keepTable) {
+            const rows = d.slice(1).map(row => row.slice(1));
+            table = { matrix: rows, path: this.editPath(rows, a, b, true) };
+        }
+        return { distance: distance, similarity: this.similarityFor(distance, a, b), table: table };
+    }
+
+    // Backtrack one optimal edit path through a Levenshtein-style matrix.
+    // Only adjacent transpositions are followed; other steps fall back to
+    // the cheapest neighbour.
+    editPath(rows, a, b, transpositions = false) {
+        const path = [];
+        let i = a.length, j = b.length;
+        while (i > 0 || j > 0) {
+            path.push([i, j]);
+            const here = rows[i][j];
+            if (i > 0 && j > 0 && rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1) === here) {
+                i--;
+                j--;
+            } else if (transpositions && i > 1 && j > 1 && a[i - 1] === b[j - 2] &&
+                a[i - 2] === b[j - 1] && rows[i - 2][j - 2] + 1 === here) {
+                i -= 2;
+                j -= 2;
+            } else if (i > 0 && rows[i - 1][j] + 1 === here) {
+                i--;
+            } else if (j > 0 && rows[i][j - 1] + 1 === here) {
+                j--;
+            } else if (i > 0 && j > 0) {
+                const best = Math.min(rows[i - 1][j - 1], rows[i - 1][j], rows[i][j - 1]);
+                if (rows[i - 1][j - 1] === best) {
+                    i--;
+                    j--;
+                } else if (rows[i - 1][j] === best) {
+                    i--;
+                } else {
+                    j--;
+                }
+            } else if (i > 0) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+        path.push([0, 0]);
+        return path.reverse();
+    }
+
+    // Jaro similarity boosted for a shared prefix of up to 4 items.
+    // Items match when equal and at most max(m, n) / 2 - 1 positions apart.
+    // The table marks each pair: 0 = too far apart, 1 = in range, 2 = matched.
+    jaroWinkler(a, b, keepTable) {
+        const m = a.length;
+        const n = b.length;
+        if (m === 0 || n === 0) {
+            const similarity = m === n ? 1 : 0;
+            return { distance: 1 - similarity, similarity: similarity, table: null };
+        }
+
+        const window = Math.max(0, Math.floor(Math.max(m, n) / 2) - 1);
+        const matchedB = new Uint8Array(n);
+        const pairs = [];
+        const rows = keepTable ? Array.from({ length: m }, () => new Int32Array(n)) : null;
+
+        for (let i = 0; i < m; i++) {
+            const lo = Math.max(0, i - window);
+            const hi = Math.min(n - 1, i + window);
+            let matched = false;
+            for (let j = lo; j <= hi; j++) {
+                if (rows) rows[i][j] = 1;
+                if (!matched && !matchedB[j] && a[i] === b[j]) {
+                    matchedB[j] = 1;
+                    pairs.push([i, j]);
+                    matched = true;
+                    if (rows) rows[i][j] = 2;
+                    else break;
+                }
+            }
+        }
+
+        let jaro = 0;
+        if (pairs.length > 0) {
+            // Matched items of b in their own order, compared with a's
+            const orderB = pairs.map(pair => pair[1]).sort((x, y) => x - y);
+            let halfTranspositions = 0;
+            pairs.forEach(([i], k) => {
+                if (a[i] !== b[orderB[k]]) halfTranspositions++;
+            });
+            const matches = pairs.length;
+            jaro = (matches / m + matches / n + (matches - halfTranspositions / 2) / matches) / 3;
+        }
+
+        let prefix = 0;
+        while (prefix < Math.min(4, m, n) && a[prefix] === b[prefix]) prefix++;
+        const similarity = jaro + prefix * 0.1 * (1 - jaro);
+
+        return {
+            distance: 1 - similarity,
+            similarity: similarity,
+            table: rows ? { matrix: rows, path: pairs } : null
+        };
+    }
+}
+
+// Regex-based syntax tokenizer with pluggable language definitions.
+// A language is a list of `blocks` (constructs that may span lines, such as
+// block comments) and single-line `rules`, tried in order at each position.
+class SyntaxTokenizer {
+    constructor() {
+        this.languages = {};
+        this.registerDefaults();
+    }
+
+    // definition: { blocks: [{ type, begin, end }], rules: [{ type, regex }], detect: text => bool }
+    register(name, definition) {
+        this.languages[name] = {
+            blocks: definition.blocks || [],
+            rules: (definition.rules || []).map(rule => ({
+                type: rule.type,
+                regex: new RegExp(rule.regex.source, 'y')
+            })),
+            detect: definition.detect || (() => false)
+        };
+    }
+
+    registerDefaults() {
+        const common = {
+            whitespace: { type: 'whitespace', regex: /\s+/ },
+            number: { type: 'number', regex: /-?(?:0x[\da-fA-F]+|\d+\.?\d*(?:e[+-]?\d+)?|\.\d+)/ },
+            doubleQuoted: { type: 'string', regex: /"(?:[^"\\]|\\.)*"?/ },
+            singleQuoted: { type: 'string', regex: /'(?:[^'\\]|\\.)*'?/ },
+            identifier: { type: 'identifier', regex: /[A-Za-z_$][\w$]*/ },
+            punctuation: { type: 'punctuation', regex: /[{}()[\];,.:]/ },
+            operator: { type: 'operator', regex: /[+\-*/%=<>!&|^~?]+/ }
+        };
+        const keywords = words => ({
+            type: 'keyword',
+            regex: new RegExp(`(?:${words.join('|')})(?![\\w$])`)
+        });
+
+        this.register('javascript', {
+            blocks: [
+                { type: 'comment', begin: '/*', end: '*/' },
+                { type: 'string', begin: '`', end: '`' }
+            ],
+            rules: [
+                common.whitespace,
+                { type: 'comment', regex: /\/\/.*/ },
+                common.doubleQuoted,
+                common.singleQuoted,
+                common.number,
+                keywords(['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+                    'default', 'delete', 'do', 'else', 'export', 'extends', 'false', 'finally',
+                    'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null',
+                    'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try',
+                    'typeof', 'undefined', 'var', 'void', 'while', 'yield']),
+                common.identifier,
+                common.punctuation,
+                common.operator
+            ],
+            detect: text => /\b(function|const|let|var|=>|require\(|import .* from)\b/.test(text)
+        });
+
+        this.register('json', {
+            rules: [
+                common.whitespace,
+                { type: 'property', regex: /"(?:[^"\\]|\\.)*"(?=\s*:)/ },
+                common.doubleQuoted,
+                common.number,
+                keywords(['true', 'false', 'null']),
+                common.punctuation
+            ],
+            detect: text => {
+                const trimmed = text.trim();
+                return /^[{[]/.test(trimmed) && /"[^"]*"\s*:/.test(trimmed);
+            }
+        });
+
+        this.register('python', {
+            blocks: [
+                { type: 'string', begin: '"""', end: '"""' },
+                { type: 'string', begin: "'''", end: "'''" }
+            ],
+            rules: [
+                common.whitespace,
+                { type: 'comment', regex: /#.*/ },
+                common.doubleQuoted,
+                common.singleQuoted,
+                common.number,
+                { type: 'keyword', regex: /@[\w.]+/ },
+                keywords(['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await',
+                    'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except',
+                    'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+                    'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'try', 'while',
+                    'with', 'yield']),
+                common.identifier,
+                common.punctuation,
+                common.operator
+            ],
+            detect: text => /^\s*(def|class|import|from)\s+[\w.]+.*$/m.test(text) && /:\s*$/m.test(text)
+        });
+
+        this.register('css', {
+            blocks: [
+                { type: 'comment', begin: '/*', end: '*/' }
+            ],
+            rules: [
+                common.whitespace,
+                common.doubleQuoted,
+                common.singleQuoted,
+                { type: 'keyword', regex: /@[\w-]+|!important/ },
+                { type: 'number', regex: /#[\da-fA-F]{3,8}(?![\w-])/ },
+                { type: 'number', regex: /-?\d*\.?\d+(?:px|em|rem|%|s|ms|vh|vw|deg|fr)?/ },
+                { type: 'property', regex: /[\w-]+(?=\s*:(?![^;{]*\{))/ },
+                { type: 'identifier', regex: /[\w-]+/ },
+                common.punctuation,
+                { type: 'operator', regex: /[>+~*=#&]/ }
+            ],
+            detect: text => /[\w\-.#:\s]+\{[^}]*[\w-]+\s*:[^}]*;/.test(text)
+        });
+    }
+
+    // Guess the language of a text, falling back to plain text
+    detect(text) {
+        const sample = text.slice(0, 5000);
+        // Most specific first: JSON is also valid-looking JavaScript
+        const order = ['json', 'css', 'python', 'javascript'].concat(
+            Object.keys(this.languages).filter(name =>
+                !['json', 'css', 'python', 'javascript'].includes(name)));
+        return order.find(name => this.languages[name] && this.languages[name].detect(sample)) || 'plain';
+    }
+
+    // Tokenize a whole file. Returns one token array per line; block state
+    // (an open comment or multi-line string) carries over to the next line.
+    tokenizeLines(lines, language) {
+        const definition = this.languages[language];
+        if (!definition) {
+            return lines.map(line => (line ? [{ type: 'plain', text: line }] : []));
+        }
+
+        let openBlock = null;
+        return lines.map(line => {
+            const tokens = [];
+            let pos = 0;
+
+            const push = (type, text) => {
+                const last = tokens[tokens.length - 1];
+                if (last && last.type === type && type === 'plain') {
+                    last.text += text;
+                } else {
+                    tokens.push({ type: type, text: text });
+                }
+            };
+
+            while (pos < line.length) {
+                // Continue (or close) a block left open by an earlier line
+                if (openBlock) {
+                    const endIdx = line.indexOf(openBlock.end, pos);
+                    if (endIdx === -1) {
+                        push(openBlock.type, line.slice(pos));
+                        pos = line.length;
+                    } else {
+                        push(openBlock.type, line.slice(pos, endIdx + openBlock.end.length));
+                        pos = endIdx + openBlock.end.length;
+                        openBlock = null;
+                    }
+                    continue;
+                }
+
+                const block = definition.blocks.find(b => line.startsWith(b.begin, pos));
+                if (block) {
+                    openBlock = block;
+                    push(block.type, block.begin);
+                    pos += block.begin.length;
+                    continue;
+                }
+
+                let matched = false;
+                for (const rule of definition.rules) {
+                    rule.regex.lastIndex = pos;
+                    const match = rule.regex.exec(line);
+                    if (match && match[0].length > 0) {
+                        push(rule.type, match[0]);
+                        pos += match[0].length;
+                        matched = true;
+                        break;
+                    }
+                }
+
+                if (!matched) {
+                    push('plain', line[pos]);
+                    pos++;
+                }
+            }
+
+            return tokens;
+        });
+    }
+
+    // Comparison key for a tokenized line that ignores formatting: whitespace
+    // is dropped and quoted strings are rewritten with double quotes
+    normalizeTokens(tokens) {
+        return tokens
+            .filter(token => token.type !== 'whitespace')
+            .map(token => {
+                const quoted = token.text.match(/^(["'])([\s\S]*)\1$/);
+                if (token.type === 'string' && quoted) {
+                    const inner = quoted[2].replace(/\\(["'])/g, '$1');
+                    return JSON.stringify(inner);
+                }
+                return token.text;
+            })
+            .join(' ');
+    }
+}
+
+// Token types that get their own colour; everything else renders as plain text
+const HIGHLIGHTED_TOKENS = new Set(['keyword', 'string', 'number', 'comment', 'property', 'punctuation', 'operator']);
+
+// Largest m × n the DP table engine will allocate before "auto" switches to Myers
+const LCS_MAX_CELLS = 4000000;
+// Largest DP table the LCS Algorithm view will try to render
+const LCS_TABLE_MAX_CELLS = 2500;
+// Largest DP matrix (in cells) SequenceMetrics will fill; bigger inputs get no distance
+const METRIC_MAX_CELLS = 10000000;
+// Largest token × token table used for intra-line highlighting
+const INLINE_MAX_CELLS = 250000;
+// Letters and digits a block must share before it is reported as moved,
+// the same threshold git uses for --color-moved
+const MOVE_MIN_CHARS = 20;
+// Edited lines allowed between two matched lines of a moved block
+const MOVE_MAX_GAP = 2;
+// Total deletion × addition lines compared while looking for moved blocks
+const MOVE_MAX_CELLS = 4000000;
+// localStorage key for the user's saved normalization presets
+const NORMALIZATION_PRESETS_KEY = 'codeDiff.normalizationPresets';
+// Presets that always exist; saved presets with the same name take precedence
+const BUILTIN_NORMALIZATION_PRESETS = {
+    'Whitespace Insensitive': {
+        switches: { ignoreWhitespace: true, ignoreAllWhitespace: true, ignoreBlankLines: true, ignoreLineEndings: true },
+        rules: []
+    },
+    'Timestamps & IDs': {
+        switches: { ignoreLineEndings: true },
+        rules: [
+            { type: 'replace', pattern: '\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?', replacement: '<timestamp>' },
+            { type: 'replace', pattern: '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}', flags: 'gi', replacement: '<uuid>' }
+        ]
+    },
+    'Windows vs Unix': {
+        switches: { ignoreLineEndings: true },
+        rules: []
+    }
+};
+// IndexedDB database for recent comparisons, and how many to keep
+const HISTORY_DB_NAME = 'code-diff-visualizer';
+const HISTORY_LIMIT = 50;
+// URL fragment that carries a shared session
+const SHARE_HASH_PREFIX = '#diff=';
+// Longer share links are not kept in the address bar
+const SHARE_URL_MAX = 100000;
+// UI controls saved with a session: checkboxes, then selects and inputs
+const SESSION_SWITCHES = ['ignoreWhitespace', 'ignoreCase', 'ignoreFormatting', 'detectMoves', 'showLineNumbers',
+    'collapseUnchanged', 'ignoreAllWhitespace', 'ignoreBlankLines', 'ignoreLineEndings'];
+const SESSION_VALUES = ['diffAlgorithm', 'languageSelect', 'inlineMode', 'contextLines', 'distanceMetric', 'metricUnit'];
+// Stats label and DP table caption for each distance metric
+const DISTANCE_METRICS = {
+    lcs: {
+        label: 'Insert/Delete Distance',
+        caption: 'Each cell [i,j] holds the LCS length of the first i items of the original and the first j items of the modified version. Highlighted cells are the common items; everything else was inserted or deleted.'
+    },
+    levenshtein: {
+        label: 'Levenshtein Distance',
+        caption: 'Each cell [i,j] holds the fewest insertions, deletions and substitutions that turn the first i items of the original into the first j items of the modified version. Highlighted cells trace one cheapest edit path.'
+    },
+    damerau: {
+        label: 'Damerau-Levenshtein',
+        caption: 'Like Levenshtein, but swapping two items (ab → ba) counts as a single edit, even with other edits between them. Highlighted cells trace one cheapest edit path.'
+    },
+    'jaro-winkler': {
+        label: 'Jaro-Winkler Distance',
+        caption: '✓ marks matched pairs: equal items no more than max(m, n) / 2 − 1 positions apart; · marks pairs close enough to be compared. Similarity rewards matches, penalizes matches out of order and adds a bonus for a shared prefix of up to 4 items.'
+    }
+};
+// Inline stylesheet for exported HTML reports: a light theme that prints
+// well, with table rows kept whole across page breaks
+const REPORT_STYLES = `
+body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1a202c; margin: 24px; }
+h1 { font-size: 1.4rem; margin: 0 0 4px; }
+.report-meta { color: #718096; font-size: 0.85rem; margin-bottom: 16px; }
+.report-stats { display: flex; flex-wrap: wrap; gap: 8px 24px; padding: 12px 16px; margin-bottom: 16px;
+    background: #f7fafc; border: 1px solid #e2e8f0; border-radius: 8px; font-size: 0.9rem; }
+.report-stats strong { margin-left: 4px; }
+table { width: 100%; border-collapse: collapse; table-layout: fixed; font-family: 'Courier New', Consolas, monospace; font-size: 0.8rem; }
+th { text-align: left; padding: 6px 8px; background: #edf2f7; border-bottom: 2px solid #cbd5e0; }
+td { padding: 1px 8px; vertical-align: top; white-space: pre-wrap; word-break: break-all; }
+td.line-number { width: 3.5em; color: #a0aec0; text-align: right; user-select: none; }
+td.addition { background: #f0fff4; color: #22543d; }
+td.deletion { background: #fff5f5; color: #742a2a; }
+td.moved { background: #faf5ff; color: #44337a; }
+td.empty { background: #f7fafc; }
+td.ignored { opacity: 0.5; }
+td.deletion .inline-change { background: #feb2b2; border-radius: 2px; }
+td.addition .inline-change { background: #9ae6b4; border-radius: 2px; }
+.side-by-side td.pane-start { border-left: 1px solid #e2e8f0; }
+tr.gap td { text-align: center; color: #718096; font-style: italic; background: #edf2f7; }
+.move-link { float: right; padding: 0 6px; border-radius: 8px; background: #e9d8fd; color: #553c9a; font-size: 0.7rem; }
+.tok-keyword { color: #b83280; font-weight: bold; }
+.tok-string { color: #975a16; }
+.tok-number { color: #c05621; }
+.tok-comment { color: #718096; font-style: italic; }
+.tok-property { color: #2b6cb0; }
+@page { margin: 12mm; }
+@media print {
+    body { margin: 0; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    thead { display: table-header-group; }
+    tr { break-inside: avoid; }
+    .report-stats { break-inside: avoid; }
+}
+`;
+// Largest DP table (in cells) the step-through playback animates
+const PLAYBACK_MAX_CELLS = 900;
+// Milliseconds a diff may run before the progress bar appears
+const PROGRESS_DELAY = 200;
+// Milliseconds of typing pause before a live re-diff
+const LIVE_DIFF_DELAY = 400;
+
+// Key for lines a rule says to ignore. Lines never contain '\0', so it can't
+// collide with real text, and ignored lines on both sides still match up.
+const IGNORED_LINE = '\0ignored';
+
+// Turns a line into the key it is compared by. Rules are plain objects so
+// they can be saved as presets and sent to the diff worker:
+//   { type: 'ignoreLineEndings' }            drop a trailing '\r' (CRLF vs LF)
+//   { type: 'ignoreMatching', pattern, flags } ignore lines matching a regex
+//   { type: 'replace', pattern, flags, replacement } regex find/replace
+//   { type: 'ignoreAllWhitespace' }          remove every space and tab
+//   { type: 'ignoreBlankLines' }             ignore empty lines
+//   { type: 'trim' }, { type: 'lowercase' }
+class LineNormalizer {
+    constructor(rules = []) {
+        this.rules = rules;
+        this.steps = rules.map(rule => this.compile(rule));
+    }
+
+    compile(rule) {
+        switch (rule.type) {
+            case 'ignoreLineEndings':
+                return line => line.replace(/\r$/, '');
+            case 'ignoreMatching': {
+                const regex = this.toRegExp(rule);
+                return line => {
+                    regex.lastIndex = 0;
+                    return regex.test(line) ? IGNORED_LINE : line;
+                };
+            }
+            case 'replace': {
+                const regex = this.toRegExp(rule);
+                return line => line.replace(regex, rule.replacement || '');
+            }
+            case 'ignoreAllWhitespace':
+                return line => line.replace(/\s+/g, '');
+            case 'ignoreBlankLines':
+                return line => line.trim() === '' ? IGNORED_LINE : line;
+            case 'trim':
+                return line => line.trim();
+            case 'lowercase':
+                return line => line.toLowerCase();
+            default:
+                throw new Error(`Unknown normalization rule "${rule.type}"`);
+        }
+    }
+
+    // Replace rules default to replacing every match
+    toRegExp(rule) {
+        const flags = rule.flags !== undefined ? rule.flags : (rule.type === 'replace' ? 'g' : '');
+        try {
+            return new RegExp(rule.pattern, flags);
+        } catch (error) {
+            throw new Error(`Invalid pattern /${rule.pattern}/: ${error.message}`);
+        }
+    }
+
+    // Once a line is ignored, later rules leave it alone
+    apply(line) {
+        let key = line;
+        for (const step of this.steps) {
+            if (key === IGNORED_LINE) break;
+            key = step(key);
+        }
+        return key;
     }
-}`
-            },
-            css: {
-                original: `.button {
-    padding: 10px;
-    background: blue;
-    color: white;
-}`,
-                modified: `.btn {
-    padding: 12px 24px;
-    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-    color: white;
-    border: none;
-    border-radius: 8px;
-    cursor: pointer;
-    transition: all 0.3s;
 }
 
-.btn:hover {
-    transform: translateY(-2px);
-}`
-            }
+class DiffGenerator {
+    constructor(lcsAlgorithm, myersAlgorithm = new MyersDiff(), tokenizer = new SyntaxTokenizer()) {
+        this.lcs = lcsAlgorithm;
+        this.myers = myersAlgorithm;
+        this.tokenizer = tokenizer;
+        this.language = 'plain';
+        this.ignoreFormatting = false;
+        this.algorithm = 'auto';
+        this.inlineMode = 'word';
+        this.contextLines = 3;
+        this.ignoreWhitespace = false;
+        this.ignoreCase = false;
+        this.rules = [];
+        this.normalizer = new LineNormalizer();
+        this.detectMoves = true;
+        this.metrics = new SequenceMetrics();
+        this.metric = 'lcs';
+        this.metricUnit = 'lines';
+
+        // Separate instances so token diffs never clobber the line-level result
+        this.tokenLCS = new LCSAlgorithm();
+        this.tokenMyers = new MyersDiff();
+    }
+
+    setOptions(options) {
+        this.ignoreWhitespace = options.ignoreWhitespace || false;
+        this.ignoreCase = options.ignoreCase || false;
+        this.algorithm = options.algorithm || 'auto';
+        this.inlineMode = options.inlineMode || 'word';
+        this.contextLines = options.contextLines !== undefined ? options.contextLines : 3;
+        this.language = options.language || 'plain';
+        this.ignoreFormatting = options.ignoreFormatting || false;
+        this.detectMoves = options.detectMoves !== undefined ? options.detectMoves : true;
+        this.metric = options.metric || 'lcs';
+        this.metricUnit = options.metricUnit || 'lines';
+
+        // The whitespace and case switches run last, after the user's rules
+        this.rules = options.rules || [];
+        this.normalizer = new LineNormalizer([
+            ...this.rules,
+            ...(this.ignoreWhitespace ? [{ type: 'trim' }] : []),
+            ...(this.ignoreCase ? [{ type: 'lowercase' }] : [])
+        ]);
+    }
+
+    resolveLanguage(originalLines, modifiedLines) {
+        if (this.language !== 'auto') return this.language;
+        return this.tokenizer.detect(originalLines.join('\n') + '\n' + modifiedLines.join('\n'));
+    }
+
+    // Pick the diff engine. "auto" keeps the DP table for inputs small enough
+    // to visualize; an explicit "lcs" is honoured as long as the table fits.
+    selectEngine(m, n) {
+        const cells = (m + 1) * (n + 1);
+        if (this.algorithm === 'auto' && cells <= LCS_TABLE_MAX_CELLS) return this.lcs;
+        if (this.algorithm === 'lcs' && cells <= LCS_MAX_CELLS) return this.lcs;
+        return this.myers;
+    }
+
+    // Split a line into the units compared by intra-line highlighting
+    tokenize(line) {
+        if (this.inlineMode === 'char') {
+            return Array.from(line);
+        }
+        return line.match(/\w+|\s+|[^\w\s]/g) || [];
+    }
+
+    // Diff two lines token by token. Returns one segment list per side, where
+    // each segment is { text, changed }; adjacent tokens of the same kind merge.
+    diffInline(oldLine, newLine) {
+        const oldTokens = this.tokenize(oldLine);
+        const newTokens = this.tokenize(newLine);
+        const engine = oldTokens.length * newTokens.length <= INLINE_MAX_CELLS ?
+            this.tokenLCS : this.tokenMyers;
+        const { lcs } = engine.computeLCS(oldTokens, newTokens);
+
+        // Nothing in common - a whole-line highlight says it better
+        if (lcs.length === 0) return null;
+
+        const toSegments = (tokens, matchedIndexes) => {
+            const segments = [];
+            tokens.forEach((token, idx) => {
+                const changed = !matchedIndexes.has(idx);
+                const last = segments[segments.length - 1];
+                if (last && last.changed === changed) {
+                    last.text += token;
+                } else {
+                    segments.push({ text: token, changed: changed });
+                }
+            });
+            return segments;
+        };
+
+        return {
+            original: toSegments(oldTokens, new Set(lcs.map(item => item.i))),
+            modified: toSegments(newTokens, new Set(lcs.map(item => item.j)))
+        };
+    }
+
+    // Pair up the deleted and added lines of one change run and attach
+    // intra-line segments to every diff entry that shows them
+    addInlineChanges(deletionRun, additionRun) {
+        if (this.inlineMode === 'line') return;
+
+        const pairs = Math.min(deletionRun.length, additionRun.length);
+        for (let k = 0; k < pairs; k++) {
+            const segments = this.diffInline(deletionRun[k][0].content, additionRun[k][0].content);
+            if (!segments) continue;
+
+            deletionRun[k].forEach(entry => { entry.segments = segments.original; });
+            additionRun[k].forEach(entry => { entry.segments = segments.modified; });
+        }
+    }
+
+    // Find blocks of deleted lines that reappear as added lines in another
+    // change run. Lines are compared trimmed, so re-indented blocks still
+    // match, and a few edited lines may sit between the matched ones.
+    findMoves(changeRuns, processedOriginal, processedModified) {
+        const keyOf = (lines, pair) => lines[pair[0].lineNum - 1].trim();
+
+        // Index added lines by content so only runs sharing lines get diffed.
+        // Blank lines and lone braces match anywhere, so they are left out.
+        const additionRunsByKey = new Map();
+        changeRuns.forEach((run, runIdx) => {
+            run.additions.forEach(pair => {
+                const key = keyOf(processedModified, pair);
+                if (!this.moveWeight(key)) return;
+                if (!additionRunsByKey.has(key)) additionRunsByKey.set(key, new Set());
+                additionRunsByKey.get(key).add(runIdx);
+            });
+        });
+
+        const candidates = [];
+        let budget = MOVE_MAX_CELLS;
+        changeRuns.forEach((fromRun, fromIdx) => {
+            const shared = new Map();
+            fromRun.deletions.forEach(pair => {
+                const key = keyOf(processedOriginal, pair);
+                const runs = additionRunsByKey.get(key);
+                if (!runs) return;
+                runs.forEach(toIdx => shared.set(toIdx, (shared.get(toIdx) || 0) + this.moveWeight(key)));
+            });
+
+            shared.forEach((weight, toIdx) => {
+                // A run's own additions are an in-place edit, not a move
+                if (toIdx === fromIdx || weight < MOVE_MIN_CHARS) return;
+
+                const cells = fromRun.deletions.length * changeRuns[toIdx].additions.length;
+                if (cells > budget) return;
+                budget -= cells;
+                candidates.push(...this.matchMovedBlocks(
+                    fromRun.deletions.map(pair => keyOf(processedOriginal, pair)),
+                    changeRuns[toIdx].additions.map(pair => keyOf(processedModified, pair)),
+                    fromRun.deletions,
+                    changeRuns[toIdx].additions
+                ));
+            });
+        });
+
+        // Biggest blocks win; a line can belong to one move only
+        const used = new Set();
+        const accepted = candidates
+            .sort((a, b) => b.matched - a.matched)
+            .filter(block => {
+                const pairs = block.fromPairs.concat(block.toPairs);
+                if (pairs.some(pair => used.has(pair))) return false;
+                pairs.forEach(pair => used.add(pair));
+                return true;
+            })
+            .sort((a, b) => a.fromPairs[0][0].lineNum - b.fromPairs[0][0].lineNum);
+
+        return accepted.map((block, id) => this.markMove(block, id));
+    }
+
+    // Split the matches between one deletion run and one addition run into
+    // blocks, breaking wherever more than MOVE_MAX_GAP lines go unmatched
+    matchMovedBlocks(fromKeys, toKeys, deletions, additions) {
+        const { lcs } = this.tokenMyers.computeLCS(fromKeys, toKeys);
+        const groups = [];
+        let group = null;
+
+        lcs.forEach(match => {
+            const last = group && group[group.length - 1];
+            if (!last || match.i - last.i > MOVE_MAX_GAP + 1 || match.j - last.j > MOVE_MAX_GAP + 1) {
+                group = [];
+                groups.push(group);
+            }
+            group.push(match);
+        });
+
+        return groups
+            .map(matches => {
+                // Blank lines at the edges belong to the surroundings
+                const filled = matches.filter(match => fromKeys[match.i] !== '');
+                if (filled.length === 0) return null;
+                const first = filled[0];
+                const last = filled[filled.length - 1];
+                return {
+                    matched: filled.reduce((sum, match) => sum + this.moveWeight(fromKeys[match.i]), 0),
+                    fromPairs: deletions.slice(first.i, last.i + 1),
+                    toPairs: additions.slice(first.j, last.j + 1),
+                    matches: matches
+                        .filter(match => match.i >= first.i && match.i <= last.i)
+                        .map(match => ({ i: match.i - first.i, j: match.j - first.j }))
+                };
+            })
+            .filter(block => block && block.matched >= MOVE_MIN_CHARS);
+    }
+
+    // How much a matched line says about a move: its letters and digits
+    moveWeight(key) {
+        return key.replace(/[^A-Za-z0-9]/g, '').length;
+    }
+
+    // Tag the entries of a moved block. Matched lines only differ in
+    // indentation, so inline highlights go to the edited lines between them.
+    markMove(block, id) {
+        [...block.fromPairs, ...block.toPairs].forEach(pair => pair.forEach(entry => {
+            entry.moveId = id;
+            delete entry.segments;
+        }));
+
+        let edited = false;
+        let fromIdx = 0;
+        let toIdx = 0;
+        const ends = { i: block.fromPairs.length, j: block.toPairs.length };
+        block.matches.concat([ends]).forEach(match => {
+            if (match.i > fromIdx || match.j > toIdx) {
+                edited = true;
+                this.addInlineChanges(block.fromPairs.slice(fromIdx, match.i), block.toPairs.slice(toIdx, match.j));
+            }
+            fromIdx = match.i + 1;
+            toIdx = match.j + 1;
+        });
+
+        return {
+            id: id,
+            from: { start: block.fromPairs[0][0].lineNum, end: block.fromPairs[block.fromPairs.length - 1][0].lineNum },
+            to: { start: block.toPairs[0][0].lineNum, end: block.toPairs[block.toPairs.length - 1][0].lineNum },
+            lines: block.fromPairs.length,
+            edited: edited
+        };
+    }
+
+    processLine(line) {
+        return this.normalizer.apply(line);
+    }
+
+    // onProgress(phase, fraction), if given, is called as the diff advances
+    generateDiff(original, modified, onProgress) {
+        // Split into lines
+        const originalLines = original.split('\n').map(line => line);
+        const modifiedLines = modified.split('\n').map(line => line);
+
+        return this.diffLines(originalLines, modifiedLines, onProgress);
+    }
+
+    diffLines(originalLines, modifiedLines, onProgress = () => {}) {
+        // Tokenize for syntax highlighting and formatting-insensitive comparison
+        onProgress('Tokenizing', 0);
+        const language = this.resolveLanguage(originalLines, modifiedLines);
+        const syntax = language === 'plain' ? null : {
+            language: language,
+            original: this.tokenizer.tokenizeLines(originalLines, language),
+            modified: this.tokenizer.tokenizeLines(modifiedLines, language)
+        };
+
+        // Process lines for comparison
+        const compareByTokens = syntax && this.ignoreFormatting;
+        const processedOriginal = originalLines.map((line, idx) => this.processLine(
+            compareByTokens ? this.tokenizer.normalizeTokens(syntax.original[idx]) : line));
+        const processedModified = modifiedLines.map((line, idx) => this.processLine(
+            compareByTokens ? this.tokenizer.normalizeTokens(syntax.modified[idx]) : line));
+
+        // Compute LCS with whichever engine suits the input size
+        const engine = this.selectEngine(processedOriginal.length, processedModified.length);
+        const lcsResult = engine.computeLCS(processedOriginal, processedModified,
+            fraction => onProgress('Diffing lines', fraction));
+        lcsResult.algorithm = engine === this.lcs ? 'lcs' : 'myers';
+        
+        // Generate diff
+        const diffOriginal = [];
+        const diffModified = [];
+        const unified = [];
+        const changeRuns = [];
+
+        let origIdx = 0;
+        let modIdx = 0;
+
+        // Walk the matched (i, j) pairs in order. Everything between two
+        // matches is a deletion from original and/or an addition to modified.
+        // A sentinel past the end of both files flushes the trailing run.
+        const anchors = lcsResult.lcs.concat([{ i: originalLines.length, j: modifiedLines.length }]);
+
+        anchors.forEach((anchor, anchorIdx) => {
+            onProgress('Highlighting changes', anchorIdx / anchors.length);
+            const deletionRun = [];
+            const additionRun = [];
+
+            while (origIdx < anchor.i) {
+                const entry = {
+                    type: 'deletion',
+                    content: originalLines[origIdx],
+                    lineNum: origIdx + 1
+                };
+                const unifiedEntry = {
+                    type: 'deletion',
+                    content: originalLines[origIdx],
+                    origLineNum: origIdx + 1,
+                    modLineNum: null
+                };
+                diffOriginal.push(entry);
+                diffModified.push({
+                    type: 'empty',
+                    content: '',
+                    lineNum: null
+                });
+                unified.push(unifiedEntry);
+                // Lines a rule ignores are shown but never paired, moved or counted
+                if (processedOriginal[origIdx] === IGNORED_LINE) {
+                    entry.ignored = unifiedEntry.ignored = true;
+                } else {
+                    deletionRun.push([entry, unifiedEntry]);
+                }
+                origIdx++;
+            }
+
+            while (modIdx < anchor.j) {
+                const entry = {
+                    type: 'addition',
+                    content: modifiedLines[modIdx],
+                    lineNum: modIdx + 1
+                };
+                const unifiedEntry = {
+                    type: 'addition',
+                    content: modifiedLines[modIdx],
+                    origLineNum: null,
+                    modLineNum: modIdx + 1
+                };
+                diffOriginal.push({
+                    type: 'empty',
+                    content: '',
+                    lineNum: null
+                });
+                diffModified.push(entry);
+                unified.push(unifiedEntry);
+                if (processedModified[modIdx] === IGNORED_LINE) {
+                    entry.ignored = unifiedEntry.ignored = true;
+                } else {
+                    additionRun.push([entry, unifiedEntry]);
+                }
+                modIdx++;
+            }
+
+            this.addInlineChanges(deletionRun, additionRun);
+            if (deletionRun.length || additionRun.length) {
+                changeRuns.push({ deletions: deletionRun, additions: additionRun });
+            }
+
+            if (origIdx < originalLines.length && modIdx < modifiedLines.length) {
+                // Matched pair - unchanged line
+                diffOriginal.push({
+                    type: 'unchanged',
+                    content: originalLines[origIdx],
+                    lineNum: origIdx + 1
+                });
+                diffModified.push({
+                    type: 'unchanged',
+                    content: modifiedLines[modIdx],
+                    lineNum: modIdx + 1
+                });
+                unified.push({
+                    type: 'unchanged',
+                    content: originalLines[origIdx],
+                    origLineNum: origIdx + 1,
+                    modLineNum: modIdx + 1
+                });
+                origIdx++;
+                modIdx++;
+            }
+        });
+
+        onProgress('Detecting moves', 0);
+        const moves = this.detectMoves ?
+            this.findMoves(changeRuns, processedOriginal, processedModified) : [];
+
+        // Calculate statistics - moved lines are counted on their own and
+        // ignored lines not at all
+        const counted = d => d.moveId === undefined && !d.ignored;
+        const additions = diffModified.filter(d => d.type === 'addition' && counted(d)).length;
+        const deletions = diffOriginal.filter(d => d.type === 'deletion' && counted(d)).length;
+        const changes = Math.min(additions, deletions);
+        const ignored = unified.filter(d => d.ignored).length;
+        onProgress('Measuring distance', 0);
+        const distance = this.measureDistance(processedOriginal, processedModified, engine, lcsResult, ignored);
+
+        return {
+            original: diffOriginal,
+            modified: diffModified,
+            unified: unified,
+            hunks: this.groupHunks(unified, this.contextLines),
+            moves: moves,
+            syntax: syntax,
+            stats: {
+                additions: additions,
+                deletions: deletions,
+                changes: changes,
+                moved: moves.length,
+                movedLines: moves.reduce((sum, move) => sum + move.lines, 0),
+                ignored: ignored,
+                similarity: distance.similarity,
+                editDistance: distance.editDistance,
+                metric: distance.fallback ? 'lcs' : this.metric,
+                metricUnit: distance.fallback ? 'lines' : this.metricUnit,
+                metricFallback: Boolean(distance.fallback)
+            },
+            distanceTable: distance.table,
+            lcsResult: lcsResult
+        };
+    }
+
+    // Edit distance and similarity under the selected metric, on the compared
+    // (normalized) lines or on their characters. Ignored lines take no part.
+    // Also returns the DP matrix when it is small enough for the table view.
+    measureDistance(processedOriginal, processedModified, engine, lcsResult, ignored) {
+        if (this.metric === 'lcs' && this.metricUnit === 'lines') {
+            // The line diff already is an LCS - reuse it, whichever engine ran
+            const { dpTable, lcs } = lcsResult;
+            const small = dpTable && dpTable.length && dpTable.length * dpTable[0].length <= LCS_TABLE_MAX_CELLS;
+            return {
+                similarity: engine.calculateSimilarity(processedOriginal, processedModified),
+                editDistance: engine.calculateEditDistance(processedOriginal, processedModified) - ignored,
+                table: small ? {
+                    metric: 'lcs',
+                    matrix: dpTable,
+                    path: lcs.map(pair => [pair.i + 1, pair.j + 1]),
+                    rowLabels: processedOriginal.map((line, idx) => String(idx + 1)),
+                    colLabels: processedModified.map((line, idx) => String(idx + 1)),
+                    rowItems: processedOriginal,
+                    colItems: processedModified
+                } : null
+            };
+        }
+
+        const keep = lines => lines
+            .map((line, idx) => ({ line: line, label: String(idx + 1) }))
+            .filter(item => item.line !== IGNORED_LINE);
+        const original = keep(processedOriginal);
+        const modified = keep(processedModified);
+
+        let a, b, rowLabels, colLabels;
+        if (this.metricUnit === 'chars') {
+            a = original.map(item => item.line).join('\n');
+            b = modified.map(item => item.line).join('\n');
+            rowLabels = a.split('').map(this.visibleChar);
+            colLabels = b.split('').map(this.visibleChar);
+        } else {
+            a = original.map(item => item.line);
+            b = modified.map(item => item.line);
+            rowLabels = original.map(item => item.label);
+            colLabels = modified.map(item => item.label);
+        }
+
+        const withPrefixRow = this.metric !== 'jaro-winkler';
+        const cells = (a.length + (withPrefixRow ? 1 : 0)) * (b.length + (withPrefixRow ? 1 : 0));
+        const result = this.metrics.measure(this.metric, a, b, cells <= LCS_TABLE_MAX_CELLS);
+        if (!result) {
+            // Too large for this metric - report the line diff's own LCS figures instead
+            return {
+                similarity: engine.calculateSimilarity(processedOriginal, processedModified),
+                editDistance: engine.calculateEditDistance(processedOriginal, processedModified) - ignored,
+                table: null,
+                fallback: true
+            };
+        }
+
+        return {
+            similarity: (result.similarity * 100).toFixed(1),
+            // Jaro-Winkler's "distance" is 1 - similarity, not an edit count
+            editDistance: this.metric === 'jaro-winkler' ?
+                Number(result.distance.toFixed(3)) : result.distance,
+            table: result.table ? Object.assign(result.table, {
+                metric: this.metric,
+                rowLabels: rowLabels,
+                colLabels: colLabels,
+                // The compared items, so the table view can explain each cell
+                rowItems: typeof a === 'string' ? a.split('') : a,
+                colItems: typeof b === 'string' ? b.split('') : b
+            }) : null
+        };
+    }
+
+    // Whitespace drawn as symbols for table headers
+    visibleChar(char) {
+        return { ' ': '␣', '\n': '↵', '\t': '⇥' }[char] || char;
+    }
+
+    // Group unified diff lines into hunks: each run of changes plus up to
+    // contextLines unchanged lines on either side. Runs whose context would
+    // touch or overlap are merged into one hunk, like GNU diff does.
+    groupHunks(unified, contextLines = 3) {
+        const hunks = [];
+        let current = null;
+
+        unified.forEach((line, idx) => {
+            if (line.type === 'unchanged') return;
+
+            const start = Math.max(0, idx - contextLines);
+            if (current && start <= current.end) {
+                current.end = Math.min(unified.length, idx + contextLines + 1);
+            } else {
+                current = { start: start, end: Math.min(unified.length, idx + contextLines + 1) };
+                hunks.push(current);
+            }
+        });
+
+        // Line numbers are counted from the start of the file up to each hunk
+        let oldCount = 0;
+        let newCount = 0;
+        let cursor = 0;
+
+        return hunks.map(({ start, end }) => {
+            for (; cursor < start; cursor++) {
+                if (unified[cursor].type !== 'addition') oldCount++;
+                if (unified[cursor].type !== 'deletion') newCount++;
+            }
+
+            const lines = unified.slice(start, end);
+            const oldLines = lines.filter(line => line.type !== 'addition').length;
+            const newLines = lines.filter(line => line.type !== 'deletion').length;
+
+            return {
+                start: start,
+                end: end,
+                // An empty side points at the line before it, per the unified format
+                oldStart: oldLines > 0 ? oldCount + 1 : oldCount,
+                oldLines: oldLines,
+                newStart: newLines > 0 ? newCount + 1 : newCount,
+                newLines: newLines,
+                lines: lines
+            };
+        });
+    }
+
+    // Make one side of a hunk match the other: 'apply' copies the modified
+    // lines into originalLines, 'revert' copies the original lines back into
+    // modifiedLines. Only the span from the first to the last changed line is
+    // rewritten, and unchanged lines inside it keep the target side's text -
+    // with ignore options on they may differ from the other side.
+    transferHunk(unified, hunk, action, originalLines, modifiedLines) {
+        let first = hunk.start;
+        let last = hunk.end;
+        while (first < last && unified[first].type === 'unchanged') first++;
+        while (last > first && unified[last - 1].type === 'unchanged') last--;
+
+        const span = unified.slice(first, last);
+        const before = unified.slice(0, first);
+        if (action === 'apply') {
+            const start = before.filter(line => line.type !== 'addition').length;
+            const count = span.filter(line => line.type !== 'addition').length;
+            const lines = span
+                .filter(line => line.type !== 'deletion')
+                .map(line => line.type === 'addition' ?
+                    modifiedLines[line.modLineNum - 1] : originalLines[line.origLineNum - 1]);
+            return { original: this.spliced(originalLines, start, count, lines), modified: modifiedLines };
+        }
+
+        const start = before.filter(line => line.type !== 'deletion').length;
+        const count = span.filter(line => line.type !== 'deletion').length;
+        const lines = span
+            .filter(line => line.type !== 'addition')
+            .map(line => line.type === 'deletion' ?
+                originalLines[line.origLineNum - 1] : modifiedLines[line.modLineNum - 1]);
+        return { original: originalLines, modified: this.spliced(modifiedLines, start, count, lines) };
+    }
+
+    spliced(lines, start, count, replacement) {
+        const copy = lines.slice();
+        copy.splice(start, count, ...replacement);
+        return copy;
+    }
+}
+
+// Lines never contain '\n', so it marks a last line that has no newline after it
+const NO_NEWLINE_MARK = '\n';
+const NO_NEWLINE_TEXT = '\\ No newline at end of file';
+
+// Reads and writes GNU unified diffs ("patch files")
+class UnifiedPatch {
+    constructor(diffGenerator) {
+        this.diffGenerator = diffGenerator;
+    }
+
+    // Split file text into lines, marking a missing final newline on the last line
+    splitFile(text) {
+        if (text === '') return [];
+
+        const lines = text.split('\n');
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        } else {
+            lines[lines.length - 1] += NO_NEWLINE_MARK;
+        }
+        return lines;
+    }
+
+    joinFile(lines) {
+        if (lines.length === 0) return '';
+
+        // Check the last line itself: a blank last line also makes text end in '\n'
+        const text = lines.join('\n');
+        return lines[lines.length - 1].endsWith(NO_NEWLINE_MARK) ? text.slice(0, -1) : text + '\n';
+    }
+
+    createPatch(original, modified, options = {}) {
+        const contextLines = options.contextLines !== undefined ? options.contextLines : 3;
+        const originalName = options.originalName || 'original';
+        const modifiedName = options.modifiedName || 'modified';
+
+        const diff = this.diffGenerator.diffLines(this.splitFile(original), this.splitFile(modified));
+        const hunks = this.diffGenerator.groupHunks(diff.unified, contextLines);
+        if (hunks.length === 0) return '';
+
+        const output = [`--- a/${originalName}`, `+++ b/${modifiedName}`];
+        hunks.forEach(hunk => {
+            output.push(`@@ -${this.formatRange(hunk.oldStart, hunk.oldLines)} ` +
+                `+${this.formatRange(hunk.newStart, hunk.newLines)} @@`);
+
+            hunk.lines.forEach(line => {
+                let prefix = ' ';
+                if (line.type === 'deletion') prefix = '-';
+                if (line.type === 'addition') prefix = '+';
+
+                if (line.content.endsWith(NO_NEWLINE_MARK)) {
+                    output.push(prefix + line.content.slice(0, -1));
+                    output.push(NO_NEWLINE_TEXT);
+                } else {
+                    output.push(prefix + line.content);
+                }
+            });
+        });
+
+        return output.join('\n') + '\n';
+    }
+
+    // "start,count", with the count left out when it is 1
+    formatRange(start, count) {
+        return count === 1 ? `${start}` : `${start},${count}`;
+    }
+
+    // Parse the hunks of the first file in a unified diff
+    parsePatch(text) {
+        const lines = text.split(/\r?\n/);
+        const hunkHeader = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+        const patch = { oldFile: null, newFile: null, hunks: [] };
+        let hunk = null;
+        let oldRemaining = 0;
+        let newRemaining = 0;
+
+        for (const line of lines) {
+            const header = line.match(hunkHeader);
+
+            if (header) {
+                hunk = {
+                    header: line,
+                    oldStart: parseInt(header[1]),
+                    oldLines: header[2] === undefined ? 1 : parseInt(header[2]),
+                    newStart: parseInt(header[3]),
+                    newLines: header[4] === undefined ? 1 : parseInt(header[4]),
+                    lines: []
+                };
+                oldRemaining = hunk.oldLines;
+                newRemaining = hunk.newLines;
+                patch.hunks.push(hunk);
+            } else if (hunk && line.startsWith('\\')) {
+                const last = hunk.lines[hunk.lines.length - 1];
+                if (last) last.text += NO_NEWLINE_MARK;
+            } else if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+                // Some editors strip the single space of an empty context line
+                const op = line === '' ? ' ' : line[0];
+                if (op === ' ' || op === '-') oldRemaining--;
+                if (op === ' ' || op === '+') newRemaining--;
+                if (op === ' ' || op === '-' || op === '+') {
+                    hunk.lines.push({ op: op, text: line.slice(1) });
+                } else {
+                    throw new Error(`Malformed hunk line after "${hunk.header}"`);
+                }
+            } else if (line.startsWith('--- ')) {
+                // A second file header - only the first file is applied
+                if (hunk) break;
+                patch.oldFile = line.slice(4).trim();
+            } else if (line.startsWith('+++ ') && !hunk) {
+                patch.newFile = line.slice(4).trim();
+            }
+        }
+
+        if (patch.hunks.length === 0) {
+            throw new Error('No hunks found - is this a unified diff?');
+        }
+        return patch;
+    }
+
+    // Apply parsed hunks to text. A hunk is tried at its stated position
+    // first, then at increasing offsets; hunks whose context cannot be found
+    // anywhere are rejected and left out.
+    applyPatch(original, patch) {
+        const lines = this.splitFile(original);
+        const applied = [];
+        const rejected = [];
+        let offset = 0;
+
+        patch.hunks.forEach(hunk => {
+            const before = hunk.lines.filter(l => l.op !== '+').map(l => l.text);
+            const after = hunk.lines.filter(l => l.op !== '-').map(l => l.text);
+            const expected = Math.max(0, hunk.oldStart - (hunk.oldLines > 0 ? 1 : 0) + offset);
+            const position = this.findHunk(lines, before, expected);
+
+            if (position === -1) {
+                rejected.push(hunk);
+                return;
+            }
+
+            lines.splice(position, before.length, ...after);
+            offset += after.length - before.length + (position - expected);
+            applied.push({ hunk: hunk, offset: position - expected });
+        });
+
+        return { text: this.joinFile(lines), applied: applied, rejected: rejected };
+    }
+
+    // Nearest index at or around expected where lines match `needle` exactly
+    findHunk(lines, needle, expected) {
+        const matchesAt = pos => {
+            if (pos < 0 || pos + needle.length > lines.length) return false;
+            return needle.every((text, k) => lines[pos + k] === text);
+        };
+
+        for (let distance = 0; distance <= lines.length; distance++) {
+            if (matchesAt(expected - distance)) return expected - distance;
+            if (distance > 0 && matchesAt(expected + distance)) return expected + distance;
+        }
+        return -1;
+    }
+}
+
+// Parser for the everyday subset of YAML: block mappings and sequences,
+// plain / quoted scalars, flow [lists] and {maps}, | and > block scalars
+// and comments. Anchors, tags and multi-document streams are not supported.
+class YAMLParser {
+    parse(text) {
+        this.lines = text.split(/\r?\n/).map((raw, idx) => ({
+            raw: raw,
+            number: idx + 1,
+            indent: raw.length - raw.trimStart().length,
+            text: this.stripComment(raw).trim()
+        }));
+        this.pos = 0;
+
+        this.skipBlank();
+        if (this.pos < this.lines.length && this.lines[this.pos].text === '---') {
+            this.pos++;
+            this.skipBlank();
+        }
+        if (this.pos >= this.lines.length) return null;
+
+        const value = this.parseBlock(this.lines[this.pos].indent);
+        this.skipBlank();
+        if (this.pos < this.lines.length && this.lines[this.pos].text !== '...') {
+            this.fail(this.lines[this.pos], 'unexpected indentation');
+        }
+        return value;
+    }
+
+    fail(line, message) {
+        throw new Error(`YAML line ${line.number}: ${message}`);
+    }
+
+    // Drop a # comment that is not inside quotes
+    stripComment(raw) {
+        let quote = null;
+        for (let idx = 0; idx < raw.length; idx++) {
+            const ch = raw[idx];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '#' && (idx === 0 || /\s/.test(raw[idx - 1]))) {
+                return raw.slice(0, idx);
+            }
+        }
+        return raw;
+    }
+
+    skipBlank() {
+        while (this.pos < this.lines.length && this.lines[this.pos].text === '') {
+            this.pos++;
+        }
+    }
+
+    isSequenceItem(line) {
+        return line.text === '-' || line.text.startsWith('- ');
+    }
+
+    parseBlock(indent) {
+        const line = this.lines[this.pos];
+        return this.isSequenceItem(line) ? this.parseSequence(indent) : this.parseMapping(indent);
+    }
+
+    parseSequence(indent) {
+        const items = [];
+        while (this.pos < this.lines.length) {
+            const line = this.lines[this.pos];
+            if (line.indent !== indent || !this.isSequenceItem(line)) break;
+
+            const content = line.text.slice(1).trim();
+            if (content === '') {
+                this.pos++;
+                items.push(this.parseNested(indent));
+            } else if (this.splitKey(content)) {
+                // "- key: value" starts a mapping indented past the dash
+                const offset = line.raw.indexOf(content, line.indent + 1);
+                this.lines[this.pos] = Object.assign({}, line, { indent: offset, text: content });
+                items.push(this.parseMapping(offset));
+            } else {
+                this.pos++;
+                items.push(this.parseScalar(content, line));
+            }
+            this.skipBlank();
+        }
+        return items;
+    }
+
+    parseMapping(indent) {
+        const map = {};
+        while (this.pos < this.lines.length) {
+            const line = this.lines[this.pos];
+            if (line.indent !== indent || this.isSequenceItem(line)) break;
+
+            const pair = this.splitKey(line.text);
+            if (!pair) this.fail(line, `expected "key: value", got "${line.text}"`);
+            this.pos++;
+
+            const { key, rest } = pair;
+            if (/^[|>][+-]?$/.test(rest)) {
+                this.setKey(map, key, this.parseBlockScalar(rest, indent));
+            } else if (rest === '') {
+                // Sequences may sit at the same indent as their key
+                this.skipBlank();
+                const next = this.lines[this.pos];
+                this.setKey(map, key, next && next.indent === indent && this.isSequenceItem(next) ?
+                    this.parseSequence(indent) : this.parseNested(indent));
+            } else {
+                this.setKey(map, key, this.parseScalar(rest, line));
+            }
+            this.skipBlank();
+        }
+        return map;
+    }
+
+    // Like JSON.parse, every key becomes an own property - plain assignment
+    // would let a "__proto__" key replace the prototype instead
+    setKey(map, key, value) {
+        Object.defineProperty(map, key, { value: value, enumerable: true, writable: true, configurable: true });
+    }
+
+    // The value on the following, more indented lines (or null if none)
+    parseNested(indent) {
+        this.skipBlank();
+        const next = this.lines[this.pos];
+        if (!next || next.indent <= indent) return null;
+        return this.parseBlock(next.indent);
+    }
+
+    splitKey(text) {
+        const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-[{][^:#]*?|-[^\s:][^:#]*?)\s*:(?:\s+(.*))?$/);
+        if (!match) return null;
+
+        let key = match[1].trim();
+        if (key.startsWith('"')) key = JSON.parse(key);
+        else if (key.startsWith("'")) key = key.slice(1, -1).replace(/''/g, "'");
+        return { key: key, rest: (match[2] || '').trim() };
+    }
+
+    parseBlockScalar(header, indent) {
+        const folded = header[0] === '>';
+        const chomp = header[1];
+        const content = [];
+        let blockIndent = null;
+
+        while (this.pos < this.lines.length) {
+            const line = this.lines[this.pos];
+            const blank = line.raw.trim() === '';
+            if (!blank && line.indent <= indent) break;
+            if (!blank && blockIndent === null) blockIndent = line.indent;
+            content.push(blank ? '' : line.raw.slice(blockIndent));
+            this.pos++;
+        }
+
+        while (content.length && content[content.length - 1] === '') content.pop();
+        let text = folded ?
+            content.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ') :
+            content.join('\n');
+        if (chomp !== '-') text += '\n';
+        return text;
+    }
+
+    parseScalar(text, line) {
+        if (text.startsWith('[') || text.startsWith('{')) {
+            const reader = { text: text, pos: 0 };
+            const value = this.parseFlow(reader, line);
+            if (reader.text.slice(reader.pos).trim() !== '') {
+                this.fail(line, 'unexpected text after flow collection');
+            }
+            return value;
+        }
+        if (text.startsWith('"')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                this.fail(line, 'unterminated double-quoted string');
+            }
+        }
+        if (text.startsWith("'")) {
+            if (!/^'(?:[^']|'')*'$/.test(text)) this.fail(line, 'unterminated single-quoted string');
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        return this.plainScalar(text);
+    }
+
+    plainScalar(text) {
+        if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+        if (/^(true|True|TRUE)$/.test(text)) return true;
+        if (/^(false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+        if (/^0x[\da-fA-F]+$/.test(text)) return parseInt(text, 16);
+        return text;
+    }
+
+    // Recursive-descent reader for flow collections such as [a, {b: 1}]
+    parseFlow(reader, line) {
+        const skip = () => {
+            while (/\s/.test(reader.text[reader.pos] || '')) reader.pos++;
+        };
+        const expect = ch => {
+            skip();
+            if (reader.text[reader.pos] !== ch) this.fail(line, `expected "${ch}" in flow collection`);
+            reader.pos++;
+        };
+        const readItem = stops => {
+            skip();
+            const ch = reader.text[reader.pos];
+            if (ch === '[' || ch === '{') return this.parseFlow(reader, line);
+            if (ch === '"' || ch === "'") {
+                const rest = reader.text.slice(reader.pos);
+                const match = ch === '"' ? rest.match(/^"(?:[^"\\]|\\.)*"/) : rest.match(/^'(?:[^']|'')*'/);
+                if (!match) this.fail(line, 'unterminated string in flow collection');
+                reader.pos += match[0].length;
+                return this.parseScalar(match[0], line);
+            }
+            let end = reader.pos;
+            while (end < reader.text.length && !stops.includes(reader.text[end])) end++;
+            const value = this.plainScalar(reader.text.slice(reader.pos, end).trim());
+            reader.pos = end;
+            return value;
+        };
+
+        skip();
+        if (reader.text[reader.pos] === '[') {
+            reader.pos++;
+            const items = [];
+            skip();
+            if (reader.text[reader.pos] === ']') {
+                reader.pos++;
+                return items;
+            }
+            for (;;) {
+                items.push(readItem(',]'));
+                skip();
+                if (reader.text[reader.pos] === ',') {
+                    reader.pos++;
+                    continue;
+                }
+                expect(']');
+                return items;
+            }
+        }
+
+        expect('{');
+        const map = {};
+        skip();
+        if (reader.text[reader.pos] === '}') {
+            reader.pos++;
+            return map;
+        }
+        for (;;) {
+            const key = readItem(':,}');
+            expect(':');
+            this.setKey(map, String(key), readItem(',}'));
+            skip();
+            if (reader.text[reader.pos] === ',') {
+                reader.pos++;
+                continue;
+            }
+            expect('}');
+            return map;
+        }
+    }
+}
+
+// Compares two parsed JSON / YAML documents as trees instead of as lines
+class StructuralDiff {
+    constructor(lcsAlgorithm, myersAlgorithm = new MyersDiff()) {
+        this.lcs = lcsAlgorithm;
+        this.myers = myersAlgorithm;
+        this.yaml = new YAMLParser();
+    }
+
+    // Parse JSON if possible, otherwise YAML
+    parse(text) {
+        try {
+            return { value: JSON.parse(text), format: 'json' };
+        } catch (jsonError) {
+            return { value: this.yaml.parse(text), format: 'yaml' };
+        }
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Key-order-independent serialization, used to match array elements
+    canonical(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonical(item)).join(',')}]`;
+        }
+        if (this.isObject(value)) {
+            return `{${Object.keys(value).sort().map(key =>
+                `${JSON.stringify(key)}:${this.canonical(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    compare(original, modified) {
+        const before = this.parse(original);
+        const after = this.parse(modified);
+        [before, after].forEach((doc, idx) => {
+            if (doc.value === null || typeof doc.value !== 'object') {
+                throw new Error(`${idx === 0 ? 'Original' : 'Modified'} is not a JSON or YAML object/array`);
+            }
+        });
+        const tree = this.diffValues('$', '$', before.value, after.value);
+
+        return {
+            format: before.format === after.format ? before.format : 'mixed',
+            tree: tree,
+            changes: this.collectChanges(tree),
+            patch: this.toJSONPatch(tree)
+        };
+    }
+
+    // Build a merged tree node. status is one of unchanged / added / removed /
+    // changed (a replaced leaf) / modified (a container with changes inside).
+    diffValues(label, path, oldValue, newValue) {
+        const node = { label: label, path: path, oldValue: oldValue, newValue: newValue, children: null };
+
+        if (this.isObject(oldValue) && this.isObject(newValue)) {
+            // Own keys only, so "constructor" or "toString" are ordinary keys
+            const keys = Object.keys(oldValue).concat(
+                Object.keys(newValue).filter(key => !Object.hasOwn(oldValue, key)));
+            node.children = keys.map(key => {
+                const childPath = this.childPath(path, key);
+                if (!Object.hasOwn(newValue, key)) return this.leaf(key, childPath, 'removed', oldValue[key], undefined);
+                if (!Object.hasOwn(oldValue, key)) return this.leaf(key, childPath, 'added', undefined, newValue[key]);
+                return this.diffValues(key, childPath, oldValue[key], newValue[key]);
+            });
+        } else if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+            node.children = this.diffArrays(path, oldValue, newValue);
+        } else {
+            node.status = this.canonical(oldValue) === this.canonical(newValue) ? 'unchanged' : 'changed';
+            return node;
+        }
+
+        node.status = node.children.every(child => child.status === 'unchanged') ? 'unchanged' : 'modified';
+        return node;
+    }
+
+    leaf(label, path, status, oldValue, newValue) {
+        return { label: label, path: path, status: status, oldValue: oldValue, newValue: newValue, children: null };
+    }
+
+    childPath(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+
+    // Match array elements with LCS so an insertion does not shift every
+    // later element into a "change"; unmatched runs pair up as edits
+    diffArrays(path, oldItems, newItems) {
+        const oldKeys = oldItems.map(item => this.canonical(item));
+        const newKeys = newItems.map(item => this.canonical(item));
+        const engine = (oldKeys.length + 1) * (newKeys.length + 1) <= LCS_MAX_CELLS ? this.lcs : this.myers;
+        const anchors = engine.computeLCS(oldKeys, newKeys).lcs
+            .concat([{ i: oldItems.length, j: newItems.length }]);
+
+        const children = [];
+        let i = 0, j = 0;
+        anchors.forEach(anchor => {
+            while (i < anchor.i && j < anchor.j) {
+                children.push(this.diffValues(`[${i}]`, `${path}[${i}]`, oldItems[i], newItems[j]));
+                i++;
+                j++;
+            }
+            while (i < anchor.i) {
+                children.push(this.leaf(`[${i}]`, `${path}[${i}]`, 'removed', oldItems[i], undefined));
+                i++;
+            }
+            while (j < anchor.j) {
+                children.push(this.leaf(`[${j}]`, `${path}[${j}]`, 'added', undefined, newItems[j]));
+                j++;
+            }
+            if (i < oldItems.length && j < newItems.length) {
+                children.push(this.diffValues(`[${i}]`, `${path}[${i}]`, oldItems[i], newItems[j]));
+                i++;
+                j++;
+            }
+        });
+        return children;
+    }
+
+    collectChanges(node, changes = []) {
+        if (node.status === 'added' || node.status === 'removed' || node.status === 'changed') {
+            changes.push({ type: node.status, path: node.path, oldValue: node.oldValue, newValue: node.newValue });
+        } else if (node.children) {
+            node.children.forEach(child => this.collectChanges(child, changes));
+        }
+        return changes;
+    }
+
+    formatValue(value) {
+        return JSON.stringify(value);
+    }
+
+    describeChange(change) {
+        switch (change.type) {
+            case 'added':
+                return `${change.path}: + ${this.formatValue(change.newValue)}`;
+            case 'removed':
+                return `${change.path}: − ${this.formatValue(change.oldValue)}`;
+            default:
+                return `${change.path}: ${this.formatValue(change.oldValue)} → ${this.formatValue(change.newValue)}`;
+        }
+    }
+
+    escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    // RFC 6902 operations, in an order that applies cleanly: array indices
+    // follow the array as earlier operations have already changed it
+    toJSONPatch(node, pointer = '', ops = []) {
+        if (node.status === 'unchanged') return ops;
+
+        if (node.status === 'changed') {
+            ops.push({ op: 'replace', path: pointer, value: node.newValue });
+        } else if (Array.isArray(node.oldValue)) {
+            let index = 0;
+            node.children.forEach(child => {
+                const childPointer = `${pointer}/${index}`;
+                if (child.status === 'removed') {
+                    ops.push({ op: 'remove', path: childPointer });
+                    return;
+                }
+                if (child.status === 'added') {
+                    ops.push({ op: 'add', path: childPointer, value: child.newValue });
+                } else {
+                    this.toJSONPatch(child, childPointer, ops);
+                }
+                index++;
+            });
+        } else {
+            node.children.forEach(child => {
+                const childPointer = `${pointer}/${this.escapePointer(child.label)}`;
+                if (child.status === 'removed') {
+                    ops.push({ op: 'remove', path: childPointer });
+                } else if (child.status === 'added') {
+                    ops.push({ op: 'add', path: childPointer, value: child.newValue });
+                } else {
+                    this.toJSONPatch(child, childPointer, ops);
+                }
+            });
+        }
+        return ops;
+    }
+}
+
+// diff3-style merge of two edited copies ("ours", "theirs") of a common base
+class ThreeWayMerge {
+    constructor(diffGenerator) {
+        this.diffGenerator = diffGenerator;
+    }
+
+    // For every base line, the index of the matching line in `other` (or -1)
+    matchBase(baseLines, otherLines) {
+        const engine = this.diffGenerator.selectEngine(baseLines.length, otherLines.length);
+        const { lcs } = engine.computeLCS(baseLines, otherLines);
+        const matches = new Array(baseLines.length).fill(-1);
+        lcs.forEach(item => { matches[item.i] = item.j; });
+        return matches;
+    }
+
+    sameLines(a, b) {
+        return a.length === b.length && a.every((line, idx) => line === b[idx]);
+    }
+
+    // Split the three versions into chunks. Stable chunks are base lines kept
+    // by both sides; between them, a chunk changed by one side takes that
+    // side's lines, and a chunk changed differently by both is a conflict.
+    merge(base, ours, theirs) {
+        const baseLines = base.split('\n');
+        const ourLines = ours.split('\n');
+        const theirLines = theirs.split('\n');
+        const toOurs = this.matchBase(baseLines, ourLines);
+        const toTheirs = this.matchBase(baseLines, theirLines);
+
+        const chunks = [];
+        let i = 0, j = 0, k = 0;
+
+        while (i < baseLines.length || j < ourLines.length || k < theirLines.length) {
+            // Stable run: base line present, in place, on both sides
+            const stable = [];
+            while (i < baseLines.length && toOurs[i] === j && toTheirs[i] === k) {
+                stable.push(baseLines[i]);
+                i++;
+                j++;
+                k++;
+            }
+            if (stable.length > 0) {
+                chunks.push({ type: 'stable', lines: stable });
+            }
+
+            // Next base line both sides kept marks the end of the unstable chunk
+            let nextI = i;
+            while (nextI < baseLines.length && (toOurs[nextI] === -1 || toTheirs[nextI] === -1)) {
+                nextI++;
+            }
+            const nextJ = nextI < baseLines.length ? toOurs[nextI] : ourLines.length;
+            const nextK = nextI < baseLines.length ? toTheirs[nextI] : theirLines.length;
+
+            if (nextI === i && nextJ === j && nextK === k) continue;
+
+            const baseChunk = baseLines.slice(i, nextI);
+            const ourChunk = ourLines.slice(j, nextJ);
+            const theirChunk = theirLines.slice(k, nextK);
+            const oursChanged = !this.sameLines(baseChunk, ourChunk);
+            const theirsChanged = !this.sameLines(baseChunk, theirChunk);
+
+            if (!oursChanged && !theirsChanged) {
+                chunks.push({ type: 'stable', lines: baseChunk });
+            } else if (!theirsChanged) {
+                chunks.push({ type: 'ours', lines: ourChunk });
+            } else if (!oursChanged) {
+                chunks.push({ type: 'theirs', lines: theirChunk });
+            } else if (this.sameLines(ourChunk, theirChunk)) {
+                chunks.push({ type: 'both', lines: ourChunk });
+            } else {
+                chunks.push({
+                    type: 'conflict',
+                    base: baseChunk,
+                    ours: ourChunk,
+                    theirs: theirChunk,
+                    resolution: null
+                });
+            }
+
+            i = nextI;
+            j = nextJ;
+            k = nextK;
+        }
+
+        return {
+            chunks: chunks,
+            conflicts: chunks.filter(chunk => chunk.type === 'conflict').length
+        };
+    }
+
+    // Lines a conflict contributes to the output: the picked side(s), or
+    // Git-style conflict markers while it is still unresolved
+    resolveConflict(chunk) {
+        switch (chunk.resolution) {
+            case 'ours':
+                return chunk.ours;
+            case 'theirs':
+                return chunk.theirs;
+            case 'both':
+                return chunk.ours.concat(chunk.theirs);
+            default:
+                return ['<<<<<<< ours', ...chunk.ours, '=======', ...chunk.theirs, '>>>>>>> theirs'];
+        }
+    }
+
+    toText(result) {
+        const lines = [];
+        result.chunks.forEach(chunk => {
+            lines.push(...(chunk.type === 'conflict' ? this.resolveConflict(chunk) : chunk.lines));
+        });
+        return lines.join('\n');
+    }
+}
+
+// Minimal ZIP archive reader: walks the central directory and inflates
+// entries with the browser's built-in DecompressionStream
+class ZipReader {
+    async readEntries(buffer) {
+        const view = new DataView(buffer);
+        const eocd = this.findEndOfCentralDirectory(view);
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+        for (let k = 0; k < count; k++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (path.endsWith('/')) continue;
+            if (flags & 1) throw new Error(`"${path}" is encrypted`);
+
+            // The local header repeats name and extra field, possibly with other lengths
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = new Uint8Array(buffer, dataStart, compressedSize);
+            entries.push({ path: path, bytes: await this.inflate(data, method, path) });
+        }
+        return entries;
+    }
+
+    // The end-of-central-directory record sits in the last 22 bytes plus an
+    // optional comment of up to 64 KB
+    findEndOfCentralDirectory(view) {
+        const lowest = Math.max(0, view.byteLength - 22 - 0xFFFF);
+        for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+            if (view.getUint32(offset, true) === 0x06054b50) return offset;
+        }
+        throw new Error('Not a ZIP archive');
+    }
+
+    async inflate(data, method, path) {
+        if (method === 0) return data;
+        if (method !== 8) throw new Error(`"${path}" uses unsupported compression method ${method}`);
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// Paths that are never worth comparing
+const IGNORED_PATHS = /(^|\/)(\.git|node_modules|__MACOSX)\/|(^|\/)\.DS_Store$/;
+// Files bigger than this are compared by content hash only
+const FILE_MAX_BYTES = 2 * 1024 * 1024;
+
+// Collects a set of files ({ path -> { text, binary, hash, size } }) from a
+// folder picker, a dropped folder or a zip archive
+class FileSetLoader {
+    constructor(zipReader = new ZipReader()) {
+        this.zipReader = zipReader;
+    }
+
+    // Files from <input webkitdirectory>, keyed by their relative path
+    async fromFileList(fileList) {
+        const files = new Map();
+        for (const file of Array.from(fileList)) {
+            const path = file.webkitRelativePath || file.name;
+            if (IGNORED_PATHS.test(path)) continue;
+            files.set(path, this.decode(new Uint8Array(await file.arrayBuffer())));
+        }
+        return this.stripCommonRoot(files);
+    }
+
+    // A folder dropped from the desktop (FileSystemDirectoryEntry)
+    async fromDirectoryEntry(rootEntry) {
+        const files = new Map();
+        const walk = async (entry, prefix) => {
+            const path = prefix + entry.name;
+            if (entry.isFile) {
+                if (IGNORED_PATHS.test(path)) return;
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.set(path, this.decode(new Uint8Array(await file.arrayBuffer())));
+                return;
+            }
+            if (IGNORED_PATHS.test(path + '/')) return;
+
+            // readEntries hands out children in batches until it returns none
+            const reader = entry.createReader();
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child, path + '/');
+                }
+            } while (batch.length > 0);
+        };
+
+        await walk(rootEntry, '');
+        return this.stripCommonRoot(files);
+    }
+
+    async fromZip(file) {
+        const files = new Map();
+        const entries = await this.zipReader.readEntries(await file.arrayBuffer());
+        entries.forEach(entry => {
+            if (!IGNORED_PATHS.test(entry.path)) {
+                files.set(entry.path, this.decode(entry.bytes));
+            }
+        });
+        return this.stripCommonRoot(files);
+    }
+
+    // Text files are decoded as UTF-8; anything with a NUL byte, or too big
+    // to diff, is treated as binary and compared by hash
+    decode(bytes) {
+        const sample = bytes.subarray(0, 8000);
+        const binary = bytes.length > FILE_MAX_BYTES || sample.includes(0);
+        return {
+            text: binary ? null : new TextDecoder('utf-8').decode(bytes),
+            binary: binary,
+            hash: this.hash(bytes),
+            size: bytes.length
+        };
+    }
+
+    // 32-bit FNV-1a
+    hash(bytes) {
+        let hash = 0x811c9dc5;
+        for (let k = 0; k < bytes.length; k++) {
+            hash ^= bytes[k];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Two folders (or zips of them) usually have differently named roots,
+    // e.g. "app-v1/src/..." and "app-v2/src/...", so compare below them
+    stripCommonRoot(files) {
+        const paths = Array.from(files.keys());
+        const root = paths.length > 0 && paths[0].includes('/') ? paths[0].split('/')[0] + '/' : null;
+        if (!root || !paths.every(path => path.startsWith(root))) return files;
+
+        return new Map(paths.map(path => [path.slice(root.length), files.get(path)]));
+    }
+}
+
+// Compares two file sets and arranges the result as a folder tree
+class DirectoryComparison {
+    constructor(diffGenerator) {
+        this.diffGenerator = diffGenerator;
+    }
+
+    compare(originalFiles, modifiedFiles, onProgress = () => {}) {
+        const paths = Array.from(new Set([...originalFiles.keys(), ...modifiedFiles.keys()])).sort();
+        const totals = { added: 0, removed: 0, modified: 0, unchanged: 0, additions: 0, deletions: 0 };
+
+        const files = paths.map((path, idx) => {
+            onProgress('Comparing files', idx / paths.length);
+            const before = originalFiles.get(path);
+            const after = modifiedFiles.get(path);
+            const entry = this.compareFile(path, before, after);
+            totals[entry.status]++;
+            totals.additions += entry.stats.additions;
+            totals.deletions += entry.stats.deletions;
+            return entry;
+        });
+
+        return { files: files, tree: this.buildTree(files), totals: totals };
+    }
+
+    compareFile(path, before, after) {
+        const binary = Boolean((before && before.binary) || (after && after.binary));
+        const entry = {
+            path: path,
+            status: 'unchanged',
+            binary: binary,
+            original: before && !binary ? before.text : null,
+            modified: after && !binary ? after.text : null,
+            stats: { additions: 0, deletions: 0 }
+        };
+
+        if (!before) entry.status = 'added';
+        else if (!after) entry.status = 'removed';
+        else if (before.hash !== after.hash || before.size !== after.size) entry.status = 'modified';
+
+        if (binary || entry.status === 'unchanged') return entry;
+
+        // Added and removed files count every line; modified ones get a real diff
+        if (entry.status === 'added') {
+            entry.stats.additions = this.countLines(entry.modified);
+        } else if (entry.status === 'removed') {
+            entry.stats.deletions = this.countLines(entry.original);
+        } else {
+            const { stats } = this.diffGenerator.generateDiff(entry.original, entry.modified);
+            entry.stats = { additions: stats.additions, deletions: stats.deletions, moved: stats.movedLines };
+        }
+        return entry;
+    }
+
+    countLines(text) {
+        if (text === '') return 0;
+        return text.split('\n').length - (text.endsWith('\n') ? 1 : 0);
+    }
+
+    // Nest files under their folders; a folder is "modified" if anything inside changed
+    buildTree(files) {
+        const root = { name: '', path: '', children: new Map(), status: 'unchanged' };
+
+        files.forEach((file, fileIdx) => {
+            const parts = file.path.split('/');
+            let node = root;
+            parts.slice(0, -1).forEach((part, idx) => {
+                if (!node.children.has(part)) {
+                    node.children.set(part, {
+                        name: part,
+                        path: parts.slice(0, idx + 1).join('/'),
+                        children: new Map(),
+                        status: 'unchanged'
+                    });
+                }
+                node = node.children.get(part);
+            });
+            // fileIdx is the file's position in files, as used by data-file in the tree view
+            node.children.set(parts[parts.length - 1], { name: parts[parts.length - 1], file: file, fileIdx: fileIdx });
+        });
+
+        const settle = node => {
+            if (node.file) return node.file.status;
+            const statuses = new Set(Array.from(node.children.values()).map(settle));
+            node.status = statuses.size === 1 ? statuses.values().next().value : 'modified';
+            return node.status;
+        };
+        settle(root);
+        return root;
+    }
+}
+
+// ===================================
+// Background Diffing (Web Worker)
+// ===================================
+
+// The jobs the page hands to the worker. Inputs and results are plain data
+// (Maps included), so they survive postMessage.
+class ComparisonRunner {
+    constructor(diffGenerator = new DiffGenerator(new LCSAlgorithm()),
+        structuralDiff = new StructuralDiff(new LCSAlgorithm())) {
+        this.diffGenerator = diffGenerator;
+        this.structuralDiff = structuralDiff;
+        this.threeWayMerge = new ThreeWayMerge(diffGenerator);
+        this.directoryComparison = new DirectoryComparison(diffGenerator);
+        // Exported patches must rebuild the modified text, so they are diffed
+        // without the ignore options and rules the views use
+        this.patchGenerator = new DiffGenerator(new LCSAlgorithm());
+        this.unifiedPatch = new UnifiedPatch(this.patchGenerator);
+    }
+
+    perform(task, input, options, onProgress) {
+        switch (task) {
+            case 'compare': return this.run(input.original, input.modified, options, onProgress);
+            case 'merge': return this.merge(input, options, onProgress);
+            case 'folders': return this.compareFolders(input, options, onProgress);
+            case 'patch': return this.createPatch(input, options, onProgress);
+            default: throw new Error(`Unknown diff task "${task}"`);
+        }
+    }
+
+    // One comparison as compareCode needs it: the line diff plus the
+    // structural JSON/YAML diff, or the reason there is none
+    run(original, modified, options, onProgress) {
+        this.diffGenerator.setOptions(options);
+        const diff = this.diffGenerator.generateDiff(original, modified, onProgress);
+
+        onProgress('Comparing structure', 0);
+        let structure;
+        try {
+            structure = this.structuralDiff.compare(original, modified);
+        } catch (error) {
+            structure = { error: error.message };
+        }
+
+        return { diff: diff, structure: structure };
+    }
+
+    merge({ base, ours, theirs }, options, onProgress) {
+        this.diffGenerator.setOptions(options);
+        onProgress('Merging', 0);
+        return this.threeWayMerge.merge(base, ours, theirs);
+    }
+
+    compareFolders({ original, modified }, options, onProgress) {
+        this.diffGenerator.setOptions(options);
+        return this.directoryComparison.compare(original, modified, onProgress);
+    }
+
+    createPatch({ original, modified }, options, onProgress) {
+        this.patchGenerator.setOptions({ algorithm: options.algorithm, detectMoves: false });
+        onProgress('Building patch', 0);
+        return this.unifiedPatch.createPatch(original, modified, { contextLines: options.contextLines });
+    }
+}
+
+class DiffCancelledError extends Error {
+    constructor() {
+        super('Diff cancelled');
+        this.name = 'DiffCancelledError';
+    }
+}
+
+// Main-thread side: runs ComparisonRunner tasks in a worker that loads this
+// same script. Where workers are unavailable (e.g. index.html opened from
+// disk) the task runs on the main thread instead.
+class DiffWorkerClient {
+    constructor(scriptUrl, fallback = new ComparisonRunner()) {
+        this.scriptUrl = scriptUrl;
+        this.fallback = fallback;
+        this.worker = null;
+        this.pending = null;
+        this.nextId = 0;
+        this.workersAvailable = typeof Worker !== 'undefined';
+    }
+
+    // Starting a new task cancels the one in flight
+    perform(task, input, options, onProgress) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const request = { id: ++this.nextId, task: task, input: input, options: options };
+            this.pending = { request: request, resolve: resolve, reject: reject, onProgress: onProgress };
+
+            const worker = this.getWorker();
+            if (worker) {
+                worker.postMessage(request);
+            } else {
+                this.runOnMainThread(this.pending);
+            }
+        });
+    }
+
+    getWorker() {
+        if (this.worker || !this.workersAvailable) return this.worker;
+
+        try {
+            this.worker = new Worker(this.scriptUrl);
+        } catch (error) {
+            this.workersAvailable = false;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        // Comparison errors come back as messages, so this means the worker
+        // itself could not start - finish the job here and stop using workers
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.workersAvailable = false;
+            this.worker.terminate();
+            this.worker = null;
+            if (this.pending) {
+                this.runOnMainThread(this.pending);
+            }
+        });
+        return this.worker;
+    }
+
+    handleMessage(message) {
+        const pending = this.pending;
+        if (!pending || message.id !== pending.request.id) return;
+
+        if (message.type === 'progress') {
+            pending.onProgress(message.phase, message.fraction);
+            return;
+        }
+
+        this.pending = null;
+        if (message.type === 'result') {
+            pending.resolve(message.result);
+        } else {
+            pending.reject(new Error(message.message));
+        }
+    }
+
+    // This blocks the page, but the timeout lets the progress bar paint first
+    runOnMainThread(pending) {
+        setTimeout(() => {
+            if (this.pending !== pending) return;
+            this.pending = null;
+
+            const { task, input, options } = pending.request;
+            try {
+                pending.resolve(this.fallback.perform(task, input, options, () => {}));
+            } catch (error) {
+                pending.reject(error);
+            }
+        }, 0);
+    }
+
+    // A busy worker cannot be interrupted, so it is terminated and a fresh
+    // one is started by the next run
+    cancel() {
+        const pending = this.pending;
+        if (!pending) return;
+
+        this.pending = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        pending.reject(new DiffCancelledError());
+    }
+}
+
+// Worker side: answers { id, task, input, options } requests with
+// progress messages followed by one result or error message
+class DiffWorkerHost {
+    constructor(scope, runner = new ComparisonRunner()) {
+        this.scope = scope;
+        this.runner = runner;
+        scope.addEventListener('message', (e) => this.handleRequest(e.data));
+    }
+
+    handleRequest({ id, task, input, options }) {
+        try {
+            const result = this.runner.perform(task, input, options, this.progressReporter(id));
+            this.scope.postMessage({ id: id, type: 'result', result: result });
+        } catch (error) {
+            this.scope.postMessage({ id: id, type: 'error', message: error.message });
+        }
+    }
+
+    // The engines report every row or range; only whole percents are posted
+    progressReporter(id) {
+        let lastPhase = null;
+        let lastPercent = -1;
+        return (phase, fraction) => {
+            const percent = Math.floor(fraction * 100);
+            if (phase === lastPhase && percent === lastPercent) return;
+            lastPhase = phase;
+            lastPercent = percent;
+            this.scope.postMessage({ id: id, type: 'progress', phase: phase, fraction: fraction });
+        };
+    }
+}
+
+// ===================================
+// Sessions (Share Links & History)
+// ===================================
+
+// Packs a session object into a URL-safe string: JSON, deflated where the
+// browser supports CompressionStream, then base64url. The prefix says which.
+class SessionCodec {
+    async encode(session) {
+        const bytes = new TextEncoder().encode(JSON.stringify(session));
+        if (typeof CompressionStream === 'undefined') {
+            return 'j.' + this.toBase64Url(bytes);
+        }
+        return 'z.' + this.toBase64Url(await this.pipe(bytes, new CompressionStream('deflate-raw')));
+    }
+
+    async decode(text) {
+        const [format, payload] = [text.slice(0, 2), text.slice(2)];
+        let bytes = this.fromBase64Url(payload);
+        if (format === 'z.') {
+            bytes = await this.pipe(bytes, new DecompressionStream('deflate-raw'));
+        } else if (format !== 'j.') {
+            throw new Error('Unknown share link format');
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    toBase64Url(bytes) {
+        // btoa takes a "binary string"; build it in chunks to keep the call stack small
+        let binary = '';
+        for (let k = 0; k < bytes.length; k += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(k, k + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+// Recent comparisons kept in IndexedDB as { id, name, updatedAt, session, stats }
+class HistoryStore {
+    constructor(dbName = HISTORY_DB_NAME, limit = HISTORY_LIMIT) {
+        this.dbName = dbName;
+        this.limit = limit;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            // Another tab still holds an older version of the database open
+            request.onblocked = () => reject(new Error('History is open in another tab - close it and try again'));
+        });
+    }
+
+    // Run one request in its own transaction and resolve with its result
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('sessions', mode);
+            const request = makeRequest(transaction.objectStore('sessions'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // Quota errors and the like abort the transaction without an error event
+            transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+        });
+    }
+
+    // Newest first
+    async list() {
+        const entries = await this.request('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    // Comparing the same texts again refreshes the existing entry instead
+    // of adding a duplicate; the oldest entries beyond the limit are dropped
+    async save(name, session, stats) {
+        const entries = await this.list();
+        const same = entries.find(entry => entry.session.original === session.original &&
+            entry.session.modified === session.modified && entry.session.base === session.base);
+        const entry = same ?
+            Object.assign(same, { session: session, stats: stats, updatedAt: Date.now() }) :
+            { name: name, session: session, stats: stats, updatedAt: Date.now() };
+
+        await this.request('readwrite', store => store.put(entry));
+        for (const old of entries.slice(same ? this.limit : this.limit - 1)) {
+            if (old !== same) await this.remove(old.id);
+        }
+    }
+
+    async rename(id, name) {
+        const entry = await this.get(id);
+        if (!entry) return;
+        entry.name = name;
+        await this.request('readwrite', store => store.put(entry));
+    }
+
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+// ===================================
+// UI Controller
+// ===================================
+
+class DiffVisualizerUI {
+    constructor() {
+        this.lcsAlgorithm = new LCSAlgorithm();
+        this.diffGenerator = new DiffGenerator(this.lcsAlgorithm);
+        this.unifiedPatch = new UnifiedPatch(this.diffGenerator);
+        this.threeWayMerge = new ThreeWayMerge(this.diffGenerator);
+        this.structuralDiff = new StructuralDiff(this.lcsAlgorithm);
+        this.fileSetLoader = new FileSetLoader();
+        this.diffWorker = new DiffWorkerClient(SCRIPT_URL);
+        this.diffRun = 0;
+        this.progressTimer = null;
+        this.liveTimer = null;
+        this.customRules = [];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.playback = null;
+        this.sessionCodec = new SessionCodec();
+        this.historyStore = new HistoryStore();
+        this.currentStructure = null;
+        this.fileSets = { original: null, modified: null };
+        this.currentDirectory = null;
+        this.currentFileIdx = -1;
+        this.currentMerge = null;
+        this.currentMode = 'side-by-side';
+        this.currentDiff = null;
+        this.expandedGaps = new Set();
+        this.changeStarts = [];
+        this.changeBlockByLine = new Map();
+        this.currentChange = -1;
+        
+        this.initializeElements();
+        this.attachEventListeners();
+        this.loadExamples();
+    }
+
+    initializeElements() {
+        // Editors
+        this.originalCodeEditor = document.getElementById('originalCode');
+        this.modifiedCodeEditor = document.getElementById('modifiedCode');
+        this.baseCodeEditor = document.getElementById('baseCode');
+        this.originalTitle = document.getElementById('originalTitle');
+        this.originalLabel = document.getElementById('originalLabel');
+        this.modifiedTitle = document.getElementById('modifiedTitle');
+        this.modifiedLabel = document.getElementById('modifiedLabel');
+        
+        // Containers
+        this.editorsContainer = document.getElementById('editorsContainer');
+        this.diffOutput = document.getElementById('diffOutput');
+        
+        // Views
+        this.sideBySideView = document.getElementById('sideBySideView');
+        this.unifiedView = document.getElementById('unifiedView');
+        this.lcsTableView = document.getElementById('lcsTableView');
+        this.mergeView = document.getElementById('mergeView');
+        
+        // Folder / zip comparison
+        this.folderSlots = document.querySelectorAll('.folder-slot');
+        this.compareFoldersBtn = document.getElementById('compareFoldersBtn');
+        this.fileTreePanel = document.getElementById('fileTreePanel');
+        this.fileTree = document.getElementById('fileTree');
+        this.fileTreeSummary = document.getElementById('fileTreeSummary');
+        this.currentFileName = document.getElementById('currentFileName');
+        this.closeFileTreeBtn = document.getElementById('closeFileTreeBtn');
+        this.structureView = document.getElementById('structureView');
+        
+        // Diff content
+        this.originalDiff = document.getElementById('originalDiff');
+        this.modifiedDiff = document.getElementById('modifiedDiff');
+        this.unifiedDiff = document.getElementById('unifiedDiff');
+        this.lcsTableContainer = document.getElementById('lcsTableContainer');
+        this.matrixCaption = document.getElementById('matrixCaption');
+        this.playPauseBtn = document.getElementById('playPauseBtn');
+        this.stepBtn = document.getElementById('stepBtn');
+        this.resetPlaybackBtn = document.getElementById('resetPlaybackBtn');
+        this.playbackSpeed = document.getElementById('playbackSpeed');
+        this.playbackStatus = document.getElementById('playbackStatus');
+        this.mergeResult = document.getElementById('mergeResult');
+        this.structureChanges = document.getElementById('structureChanges');
+        this.structureTree = document.getElementById('structureTree');
+        this.exportJsonPatchBtn = document.getElementById('exportJsonPatchBtn');
+        this.conflictCount = document.getElementById('conflictCount');
+        this.downloadMergeBtn = document.getElementById('downloadMergeBtn');
+        
+        // Buttons
+        this.compareBtn = document.getElementById('compareBtn');
+        this.clearBtn = document.getElementById('clearBtn');
+        this.swapBtn = document.getElementById('swapBtn');
+        this.backToEditBtn = document.getElementById('backToEditBtn');
+        this.exportReportBtn = document.getElementById('exportReportBtn');
+        this.undoEditBtn = document.getElementById('undoEditBtn');
+        this.redoEditBtn = document.getElementById('redoEditBtn');
+        this.printReportBtn = document.getElementById('printReportBtn');
+        this.exportPatchBtn = document.getElementById('exportPatchBtn');
+        this.applyPatchBtn = document.getElementById('applyPatchBtn');
+        this.patchInput = document.getElementById('patchInput');
+        this.contextLines = document.getElementById('contextLines');
+        this.prevChangeBtn = document.getElementById('prevChangeBtn');
+        this.nextChangeBtn = document.getElementById('nextChangeBtn');
+        this.changePosition = document.getElementById('changePosition');
+        
+        // Options
+        this.ignoreWhitespace = document.getElementById('ignoreWhitespace');
+        this.ignoreCase = document.getElementById('ignoreCase');
+        this.showLineNumbers = document.getElementById('showLineNumbers');
+        this.collapseUnchanged = document.getElementById('collapseUnchanged');
+        this.diffAlgorithm = document.getElementById('diffAlgorithm');
+        this.inlineMode = document.getElementById('inlineMode');
+        this.languageSelect = document.getElementById('languageSelect');
+        this.ignoreFormatting = document.getElementById('ignoreFormatting');
+        this.detectMoves = document.getElementById('detectMoves');
+        this.liveDiff = document.getElementById('liveDiff');
+        
+        // Normalization rules
+        this.ignoreAllWhitespace = document.getElementById('ignoreAllWhitespace');
+        this.ignoreBlankLines = document.getElementById('ignoreBlankLines');
+        this.ignoreLineEndings = document.getElementById('ignoreLineEndings');
+        this.ruleType = document.getElementById('ruleType');
+        this.rulePattern = document.getElementById('rulePattern');
+        this.ruleReplacement = document.getElementById('ruleReplacement');
+        this.addRuleBtn = document.getElementById('addRuleBtn');
+        this.ruleList = document.getElementById('ruleList');
+        this.presetSelect = document.getElementById('presetSelect');
+        this.savePresetBtn = document.getElementById('savePresetBtn');
+        this.deletePresetBtn = document.getElementById('deletePresetBtn');
+        
+        // Sharing & history
+        this.shareLinkBtn = document.getElementById('shareLinkBtn');
+        this.historyList = document.getElementById('historyList');
+        
+        // Background diff progress
+        this.diffProgress = document.getElementById('diffProgress');
+        this.progressLabel = document.getElementById('progressLabel');
+        this.progressFill = document.getElementById('progressFill');
+        this.cancelDiffBtn = document.getElementById('cancelDiffBtn');
+        
+        // Stats
+        this.additionsCount = document.getElementById('additionsCount');
+        this.deletionsCount = document.getElementById('deletionsCount');
+        this.changesCount = document.getElementById('changesCount');
+        this.similarityPercent = document.getElementById('similarityPercent');
+        this.editDistance = document.getElementById('editDistance');
+        this.editDistanceLabel = document.getElementById('editDistanceLabel');
+        this.distanceMetric = document.getElementById('distanceMetric');
+        this.metricUnit = document.getElementById('metricUnit');
+        this.movedCount = document.getElementById('movedCount');
+        this.engineUsed = document.getElementById('engineUsed');
+        
+        // Mode buttons
+        this.modeButtons = document.querySelectorAll('.mode-btn');
+        this.lcsTableModeBtn = document.querySelector('.mode-btn[data-mode="lcs-table"]');
+    }
+
+    attachEventListeners() {
+        // Compare button
+        this.compareBtn.addEventListener('click', () => this.compareCode());
+        
+        // Clear button
+        this.clearBtn.addEventListener('click', () => this.clearAll());
+        
+        // Swap button
+        this.swapBtn.addEventListener('click', () => this.swapCode());
+        
+        // Back to edit button
+        this.backToEditBtn.addEventListener('click', () => this.backToEdit());
+        this.exportReportBtn.addEventListener('click', () => this.exportReport());
+        this.undoEditBtn.addEventListener('click', () => this.undoEdit());
+        this.redoEditBtn.addEventListener('click', () => this.redoEdit());
+        this.printReportBtn.addEventListener('click', () => window.print());
+        
+        // Normalization rules and presets
+        this.ruleType.addEventListener('change', () => {
+            this.ruleReplacement.classList.toggle('hidden', this.ruleType.value !== 'replace');
+        });
+        this.addRuleBtn.addEventListener('click', () => this.addRule());
+        this.rulePattern.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addRule();
+        });
+        this.ruleList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rule]');
+            if (button) {
+                this.removeRule(parseInt(button.dataset.rule));
+            }
+        });
+        this.presetSelect.addEventListener('change', () => {
+            if (this.presetSelect.value) {
+                this.applyPreset(this.presetSelect.value);
+            }
+        });
+        this.savePresetBtn.addEventListener('click', () => this.savePreset());
+        this.deletePresetBtn.addEventListener('click', () => this.deletePreset());
+        this.renderPresetOptions();
+        
+        // Sharing & history
+        this.shareLinkBtn.addEventListener('click', () => this.copyShareLink());
+        this.historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const id = parseInt(button.dataset.id);
+            if (button.dataset.action === 'open') this.openHistoryEntry(id);
+            if (button.dataset.action === 'rename') this.renameHistoryEntry(id);
+            if (button.dataset.action === 'delete') this.deleteHistoryEntry(id);
+        });
+        window.addEventListener('hashchange', () => this.restoreFromUrl());
+        this.restoreFromUrl();
+        this.renderHistory();
+        
+        // Cancel a running diff
+        this.cancelDiffBtn.addEventListener('click', () => this.cancelDiff());
+        
+        // Live diff while typing
+        [this.originalCodeEditor, this.modifiedCodeEditor].forEach(editor => {
+            editor.addEventListener('input', () => this.scheduleLiveDiff());
+        });
+        this.liveDiff.addEventListener('change', () => {
+            if (this.liveDiff.checked) {
+                this.compareCode(true);
+            }
+        });
+        
+        // Patch export / import
+        this.exportPatchBtn.addEventListener('click', () => this.exportPatch());
+        this.applyPatchBtn.addEventListener('click', () => {
+            this.patchInput.click();
+        });
+        this.patchInput.addEventListener('change', (e) => {
+            this.handlePatchUpload(e);
+        });
+        
+        // Folder / zip slots: pick with a button or drop onto the slot
+        this.folderSlots.forEach(slot => {
+            const side = slot.dataset.side;
+            slot.querySelectorAll('[data-pick]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    slot.querySelector(`input[data-input="${btn.dataset.pick}"]`).click();
+                });
+            });
+            slot.querySelectorAll('input[type="file"]').forEach(input => {
+                input.addEventListener('change', (e) => {
+                    this.handleFolderInput(side, e);
+                });
+            });
+            slot.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                slot.classList.add('drag-over');
+            });
+            slot.addEventListener('dragleave', () => slot.classList.remove('drag-over'));
+            slot.addEventListener('drop', (e) => {
+                e.preventDefault();
+                slot.classList.remove('drag-over');
+                this.handleFolderDrop(side, e);
+            });
+        });
+        this.compareFoldersBtn.addEventListener('click', () => this.compareFolders());
+        this.fileTree.addEventListener('click', (e) => {
+            const row = e.target.closest('.file-row');
+            if (row) {
+                this.openFilePair(parseInt(row.dataset.file));
+            }
+        });
+        this.closeFileTreeBtn.addEventListener('click', () => this.closeFileTree());
+        
+        // Mode buttons
+        this.modeButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const mode = e.currentTarget.dataset.mode;
+                this.switchMode(mode);
+            });
+        });
+        
+        // Example buttons
+        document.querySelectorAll('.example-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const example = e.currentTarget.dataset.example;
+                this.loadExample(example);
+            });
+        });
+        
+        // Options change - auto-recompare if diff is shown
+        [this.ignoreWhitespace, this.ignoreCase, this.diffAlgorithm, this.inlineMode,
+            this.languageSelect, this.ignoreFormatting, this.detectMoves, this.ignoreAllWhitespace,
+            this.ignoreBlankLines, this.ignoreLineEndings].forEach(option => {
+            option.addEventListener('change', () => {
+                if (this.currentDiff) {
+                    this.compareCode();
+                }
+            });
+        });
+        
+        // Show line numbers toggle
+        this.showLineNumbers.addEventListener('change', () => {
+            if (this.currentDiff) {
+                this.renderDiff(this.currentDiff);
+            }
+        });
+        
+        // Context settings regroup the hunks and metrics are measured with
+        // the diff, so recompare
+        [this.collapseUnchanged, this.contextLines, this.distanceMetric, this.metricUnit].forEach(option => {
+            option.addEventListener('change', () => {
+                if (this.currentDiff) {
+                    this.compareCode();
+                }
+            });
+        });
+        
+        // Expand collapsed unchanged lines
+        this.diffOutput.addEventListener('click', (e) => {
+            const gap = e.target.closest('.diff-collapsed');
+            if (gap) {
+                this.expandGap(parseInt(gap.dataset.start));
+            }
+            const moveLink = e.target.closest('.move-link');
+            if (moveLink) {
+                this.jumpToMove(moveLink);
+            }
+            const hunkAction = e.target.closest('[data-hunk-action]');
+            if (hunkAction) {
+                this.transferHunk(parseInt(hunkAction.dataset.hunk), hunkAction.dataset.hunkAction);
+            }
+        });
+        
+        // Hovering a moved block lights up its other copy
+        ['mouseover', 'mouseout'].forEach(type => {
+            this.diffOutput.addEventListener(type, (e) => {
+                const line = e.target.closest('.diff-line.moved');
+                if (line) {
+                    this.highlightMove(line.dataset.move, type === 'mouseover');
+                }
+            });
+        });
+        
+        // Merge conflict resolution
+        this.mergeResult.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-pick]');
+            if (button) {
+                this.resolveConflict(parseInt(button.dataset.conflict), button.dataset.pick);
+            }
+        });
+        this.downloadMergeBtn.addEventListener('click', () => this.downloadMerge());
+        
+        // Structural diff export
+        this.exportJsonPatchBtn.addEventListener('click', () => this.exportJSONPatch());
+        
+        // DP table playback
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayback());
+        this.stepBtn.addEventListener('click', () => {
+            this.pausePlayback();
+            this.stepPlayback();
+        });
+        this.resetPlaybackBtn.addEventListener('click', () => this.renderLCSTable(this.currentDiff));
+        this.playbackSpeed.addEventListener('input', () => {
+            if (this.playback && this.playback.timer !== null) {
+                this.pausePlayback();
+                this.togglePlayback();
+            }
+        });
+        
+        // Change navigation
+        this.prevChangeBtn.addEventListener('click', () => this.navigateChange(-1));
+        this.nextChangeBtn.addEventListener('click', () => this.navigateChange(1));
+        
+        // Keyboard shortcuts: n / j = next change, p / k = previous change,
+        // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) = undo / redo a hunk edit
+        document.addEventListener('keydown', (e) => {
+            if (e.target.matches('input, textarea, select')) return;
+            if (this.diffOutput.classList.contains('hidden')) return;
+
+            if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' || key === 'y') {
+                    e.preventDefault();
+                    if (key === 'y' || e.shiftKey) {
+                        this.redoEdit();
+                    } else {
+                        this.undoEdit();
+                    }
+                }
+                return;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+            if (e.key === 'n' || e.key === 'j') {
+                this.navigateChange(1);
+            } else if (e.key === 'p' || e.key === 'k') {
+                this.navigateChange(-1);
+            }
+        });
+    }
+
+    loadExamples() {
+        this.examples = {
+            function: {
+                original: `function calculateTotal(items) {
+    let total = 0;
+    for (let i = 0; i < items.length; i++) {
+        total += items[i].price;
+    }
+    return total;
+}`,
+                modified: `function calculateTotal(items, taxRate = 0) {
+    let subtotal = 0;
+    for (const item of items) {
+        subtotal += item.price * item.quantity;
+    }
+    const tax = subtotal * taxRate;
+    return subtotal + tax;
+}`
+            },
+            html: {
+                original: `<div class="header">
+    <h1>Welcome</h1>
+    <p>Hello World</p>
+</div>`,
+                modified: `<header class="site-header">
+    <h1>Welcome to Our Site</h1>
+    <p>Hello World!</p>
+    <nav>
+        <a href="/">Home</a>
+    </nav>
+</header>`
+            },
+            json: {
+                original: `{
+    "name": "myapp",
+    "version": "1.0.0",
+    "dependencies": {
+        "react": "^17.0.0",
+        "lodash": "^4.17.0"
+    }
+}`,
+                modified: `{
+    "name": "myapp",
+    "version": "2.0.0",
+    "description": "My awesome app",
+    "dependencies": {
+        "react": "^18.0.0",
+        "axios": "^1.0.0"
+    }
+}`
+            },
+            css: {
+                original: `.button {
+    padding: 10px;
+    background: blue;
+    color: white;
+}`,
+                modified: `.btn {
+    padding: 12px 24px;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+    transition: all 0.3s;
+}
+
+.btn:hover {
+    transform: translateY(-2px);
+}`
+            },
+            merge: {
+                base: `[server]
+host = 0.0.0.0
+port = 8080
+workers = 4
+
+[database]
+url = postgres://localhost/app
+pool = 10
+
+[logging]
+level = info`,
+                original: `[server]
+host = 0.0.0.0
+port = 8080
+workers = 8
+
+[database]
+url = postgres://localhost/app
+pool = 20
+
+[logging]
+level = info`,
+                modified: `[server]
+host = 0.0.0.0
+port = 9090
+workers = 4
+
+[database]
+url = postgres://db.internal/app
+pool = 15
+
+[logging]
+level = info
+file = /var/log/app.log`
+            }
+        };
+    }
+
+    loadExample(exampleName) {
+        const example = this.examples[exampleName];
+        if (example) {
+            this.originalCodeEditor.value = example.original;
+            this.modifiedCodeEditor.value = example.modified;
+            
+            // Merge examples come with a base version
+            if (example.base !== undefined) {
+                this.baseCodeEditor.value = example.base;
+                this.switchMode('merge');
+            }
+            
+            // Auto-compare after loading example
+            setTimeout(() => this.compareCode(), 100);
+        }
+    }
+
+    // Live re-diffs keep the editors open and skip the empty-input warning
+    async compareCode(live = false) {
+        if (this.currentMode === 'merge') {
+            if (!live) await this.mergeCode();
+            return;
+        }
+
+        const original = this.originalCodeEditor.value;
+        const modified = this.modifiedCodeEditor.value;
+        
+        if (!original.trim() && !modified.trim()) {
+            if (!live) alert('⚠️ Please enter some code to compare!');
+            return;
+        }
+        
+        // Set options
+        this.applyDiffOptions();
+        
+        const result = await this.runInBackground('Diff', 'compare', { original: original, modified: modified },
+            this.getDiffOptions());
+        if (!result) return;
+        
+        this.currentDiff = result.diff;
+        this.currentStructure = result.structure;
+        this.expandedGaps = new Set();
+        this.currentChange = -1;
+        
+        // Update UI
+        this.renderDiff(this.currentDiff);
+        this.updateStats(this.currentDiff.stats);
+        this.updateEngineInfo(this.currentDiff);
+        
+        // Show diff output
+        if (!live) this.editorsContainer.classList.add('hidden');
+        this.diffOutput.classList.remove('hidden');
+        
+        if (!live) this.rememberSession(this.currentDiff.stats);
+    }
+
+    // Run a ComparisonRunner task on the diff worker behind the progress bar.
+    // Resolves with null if it failed (already reported), was cancelled, or
+    // a newer task superseded it.
+    async runInBackground(label, task, input, options) {
+        const run = ++this.diffRun;
+        this.showProgress('Starting', 0);
+        let result;
+        try {
+            result = await this.diffWorker.perform(task, input, options,
+                (phase, fraction) => this.showProgress(phase, fraction));
+        } catch (error) {
+            if (run === this.diffRun) this.hideProgress();
+            if (!(error instanceof DiffCancelledError)) {
+                alert(`⚠️ ${label} failed: ${error.message}`);
+            }
+            return null;
+        }
+        if (run !== this.diffRun) return null;
+        this.hideProgress();
+        return result;
+    }
+
+    // Quick diffs finish before the progress bar would even be noticed
+    showProgress(phase, fraction) {
+        const percent = Math.round(fraction * 100);
+        this.progressLabel.textContent = `${phase}… ${percent}%`;
+        this.progressFill.style.width = `${percent}%`;
+
+        if (this.progressTimer === null && this.diffProgress.classList.contains('hidden')) {
+            this.progressTimer = setTimeout(() => {
+                this.progressTimer = null;
+                this.diffProgress.classList.remove('hidden');
+            }, PROGRESS_DELAY);
+        }
+    }
+
+    hideProgress() {
+        clearTimeout(this.progressTimer);
+        this.progressTimer = null;
+        this.diffProgress.classList.add('hidden');
+    }
+
+    cancelDiff() {
+        this.diffWorker.cancel();
+    }
+
+    // Re-diff shortly after the user stops typing
+    scheduleLiveDiff() {
+        if (!this.liveDiff.checked) return;
+        clearTimeout(this.liveTimer);
+        this.liveTimer = setTimeout(() => this.compareCode(true), LIVE_DIFF_DELAY);
+    }
+
+    renderDiff(diff) {
+        this.changeStarts = this.findChangeStarts(diff.unified);
+        this.changeBlockByLine = new Map(this.changeStarts.map((idx, block) => [idx, block]));
+        this.renderSideBySide(diff);
+        this.renderUnified(diff);
+        this.renderLCSTable(diff);
+        this.updateTableAvailability(diff);
+        this.renderStructure(this.currentStructure);
+        this.highlightCurrentChange(false);
+        this.syncEditHistory();
+    }
+
+    // The generator only keeps a matrix small enough to draw
+    canRenderLCSTable(diff) {
+        const table = diff.distanceTable;
+        return Boolean(table && table.matrix.length && table.matrix[0].length);
+    }
+
+    // Only offer the LCS Algorithm view when there is a table to draw
+    updateTableAvailability(diff) {
+        const available = this.canRenderLCSTable(diff);
+        this.lcsTableModeBtn.disabled = !available;
+        this.lcsTableModeBtn.title = available ? '' :
+            'DP table is only shown for small inputs (and, for Insert/Delete on lines, the LCS engine)';
+
+        if (!available && this.currentMode === 'lcs-table') {
+            this.switchMode('side-by-side');
+        }
+    }
+
+    // Rows to show: every line inside a hunk, plus one collapsed separator
+    // per run of unchanged lines between hunks (unless the user expanded it)
+    buildVisibleRows(diff) {
+        const total = diff.unified.length;
+        if (!this.collapseUnchanged.checked || diff.hunks.length === 0) {
+            return [{ kind: 'lines', start: 0, end: total }];
+        }
+
+        const rows = [];
+        const addGap = (start, end) => {
+            if (end <= start) return;
+            if (this.expandedGaps.has(start)) {
+                rows.push({ kind: 'lines', start: start, end: end });
+            } else {
+                rows.push({ kind: 'gap', start: start, end: end });
+            }
+        };
+
+        let cursor = 0;
+        diff.hunks.forEach(hunk => {
+            addGap(cursor, hunk.start);
+            rows.push({ kind: 'lines', start: hunk.start, end: hunk.end });
+            cursor = hunk.end;
+        });
+        addGap(cursor, total);
+
+        return rows;
+    }
+
+    // Shared row loop for every view; renderLine(idx) returns one line's HTML
+    // and the optional renderHunkStart(hunkIdx) a bar above each hunk
+    renderRows(diff, renderLine, renderHunkStart) {
+        const hunkStarts = new Map(diff.hunks.map((hunk, hunkIdx) => [hunk.start, hunkIdx]));
+        return this.buildVisibleRows(diff).map(row => {
+            if (row.kind === 'gap') {
+                const count = row.end - row.start;
+                return `<div class="diff-collapsed" data-start="${row.start}" title="Click to expand">
+                    … ${count} unchanged line${count === 1 ? '' : 's'} …
+                </div>`;
+            }
+
+            let html = '';
+            for (let idx = row.start; idx < row.end; idx++) {
+                if (renderHunkStart && hunkStarts.has(idx)) {
+                    html += renderHunkStart(hunkStarts.get(idx));
+                }
+                html += renderLine(idx);
+            }
+            return html;
+        }).join('');
+    }
+
+    // Marks the first line of each change block so navigation can find it
+    changeAttribute(idx) {
+        const block = this.changeBlockByLine.get(idx);
+        return block === undefined ? '' : ` data-change="${block}"`;
+    }
+
+    // Syntax tokens for a line of one side, if the diff was tokenized
+    syntaxFor(diff, side, lineNum) {
+        if (!diff.syntax || !lineNum) return null;
+        return diff.syntax[side][lineNum - 1];
+    }
+
+    renderSideBySide(diff) {
+        const showLineNumbers = this.showLineNumbers.checked;
+        
+        // Each pane gets a bar of the same height so the rows stay aligned
+        const hunkBar = (side) => (hunkIdx) => {
+            const hunk = diff.hunks[hunkIdx];
+            const action = side === 'original' ?
+                `<button class="hunk-action" data-hunk="${hunkIdx}" data-hunk-action="apply" title="Copy this hunk from Modified into Original">⇐ Apply to Original</button>` :
+                `<button class="hunk-action" data-hunk="${hunkIdx}" data-hunk-action="revert" title="Restore this hunk from Original">↶ Revert in Modified</button>`;
+            return `<div class="hunk-bar">
+                <span class="hunk-header">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</span>
+                ${action}
+            </div>`;
+        };
+
+        const renderPane = (lines, side) => this.renderRows(diff, idx => {
+            const line = lines[idx];
+            const lineNum = showLineNumbers && line.lineNum ? 
+                `<span class="line-number">${line.lineNum}</span>` : '';
+            const content = this.renderLineContent(line, this.syntaxFor(diff, side, line.lineNum));
+            const move = this.moveDecoration(diff, line, line.lineNum);
+            return `<div class="diff-line ${line.type}${line.ignored ? ' ignored' : ''}${move.className}"${this.changeAttribute(idx)}${move.attributes}>
+                ${lineNum}
+                <span class="line-content">${content}</span>
+                ${move.badge}
+            </div>`;
+        }, hunkBar(side));
+
+        this.originalDiff.innerHTML = renderPane(diff.original, 'original');
+        this.modifiedDiff.innerHTML = renderPane(diff.modified, 'modified');
+    }
+
+    // Class, data attributes and "moved to / moved from" link for a line of a moved block
+    moveDecoration(diff, line, lineNum) {
+        if (line.moveId === undefined) return { className: '', attributes: '', badge: '' };
+
+        const move = diff.moves[line.moveId];
+        const isSource = line.type === 'deletion';
+        let attributes = ` data-move="${move.id}"`;
+        let badge = '';
+
+        if (lineNum === (isSource ? move.from.start : move.to.start)) {
+            attributes += ` data-move-start="${move.id}"`;
+            const text = isSource ? `↪ moved to line ${move.to.start}` : `↩ moved from line ${move.from.start}`;
+            badge = `<span class="move-link" data-move="${move.id}" data-target="${isSource ? 'addition' : 'deletion'}" 
+                title="Jump to the other copy">${text}${move.edited ? ' (edited)' : ''}</span>`;
+        }
+
+        return { className: ' moved', attributes: attributes, badge: badge };
+    }
+
+    // Scroll to the other end of a move within the same view
+    jumpToMove(link) {
+        const view = link.closest('.diff-view');
+        const target = view.querySelector(`.diff-line.${link.dataset.target}[data-move-start="${link.dataset.move}"]`);
+        if (!target) return;
+
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.highlightMove(link.dataset.move, true);
+        setTimeout(() => this.highlightMove(link.dataset.move, false), 1200);
+    }
+
+    highlightMove(moveId, on) {
+        this.diffOutput.querySelectorAll(`.diff-line[data-move="${moveId}"]`).forEach(el => {
+            el.classList.toggle('move-linked', on);
+        });
+    }
+
+    // Escape a line for display, layering syntax token classes and
+    // intra-line change highlights over the same text
+    renderLineContent(line, syntaxTokens) {
+        const tokens = syntaxTokens || [{ type: null, text: line.content }];
+        const segments = line.segments || [{ text: line.content, changed: false }];
+
+        // Cut the line wherever either a token or a segment starts
+        const pieces = [];
+        let tokenIdx = 0, tokenLeft = tokens.length ? tokens[0].text.length : 0;
+        segments.forEach(segment => {
+            let remaining = segment.text.length;
+            while (remaining > 0 && tokenIdx < tokens.length) {
+                const take = Math.min(remaining, tokenLeft);
+                const token = tokens[tokenIdx];
+                const start = token.text.length - tokenLeft;
+                pieces.push({
+                    text: token.text.slice(start, start + take),
+                    type: token.type,
+                    changed: segment.changed
+                });
+                remaining -= take;
+                tokenLeft -= take;
+                if (tokenLeft === 0) {
+                    tokenIdx++;
+                    tokenLeft = tokenIdx < tokens.length ? tokens[tokenIdx].text.length : 0;
+                }
+            }
+        });
+
+        return pieces.map(piece => {
+            const text = this.escapeHtml(piece.text);
+            const classes = [];
+            if (HIGHLIGHTED_TOKENS.has(piece.type)) classes.push(`tok-${piece.type}`);
+            if (piece.changed) classes.push('inline-change');
+            return classes.length ? `<span class="${classes.join(' ')}">${text}</span>` : text;
+        }).join('') || '&nbsp;';
+    }
+
+    renderUnified(diff) {
+        const showLineNumbers = this.showLineNumbers.checked;
+        
+        this.unifiedDiff.innerHTML = this.renderRows(diff, idx => {
+            const line = diff.unified[idx];
+            let lineNum = '';
+            if (showLineNumbers) {
+                const origNum = line.origLineNum || ' ';
+                const modNum = line.modLineNum || ' ';
+                lineNum = `<span class="line-number">${origNum}|${modNum}</span>`;
+            }
+            
+            let prefix = ' ';
+            if (line.type === 'deletion') prefix = '-';
+            if (line.type === 'addition') prefix = '+';
+            
+            const syntaxTokens = line.type === 'addition' ?
+                this.syntaxFor(diff, 'modified', line.modLineNum) :
+                this.syntaxFor(diff, 'original', line.origLineNum);
+            const content = this.renderLineContent(line, syntaxTokens);
+            const move = this.moveDecoration(diff, line,
+                line.type === 'addition' ? line.modLineNum : line.origLineNum);
+            return `<div class="diff-line ${line.type}${line.ignored ? ' ignored' : ''}${move.className}"${this.changeAttribute(idx)}${move.attributes}>
+                ${lineNum}
+                <span class="line-content">${prefix} ${content}</span>
+                ${move.badge}
+            </div>`;
+        });
+    }
+
+    expandGap(start) {
+        this.expandedGaps.add(start);
+        this.renderSideBySide(this.currentDiff);
+        this.renderUnified(this.currentDiff);
+        this.highlightCurrentChange(false);
+    }
+
+    // Index of the first line of every contiguous block of changes
+    findChangeStarts(unified) {
+        const starts = [];
+        unified.forEach((line, idx) => {
+            const changed = line.type !== 'unchanged' && !line.ignored;
+            const previousChanged = idx > 0 && unified[idx - 1].type !== 'unchanged' && !unified[idx - 1].ignored;
+            if (changed && !previousChanged) starts.push(idx);
+        });
+        return starts;
+    }
+
+    navigateChange(direction) {
+        if (!this.currentDiff || this.changeStarts.length === 0) return;
+
+        const count = this.changeStarts.length;
+        this.currentChange = this.currentChange === -1 ?
+            (direction > 0 ? 0 : count - 1) :
+            (this.currentChange + direction + count) % count;
+
+        this.highlightCurrentChange(true);
+    }
+
+    highlightCurrentChange(scroll) {
+        const count = this.changeStarts.length;
+        this.changePosition.textContent = this.currentChange === -1 ?
+            `– / ${count}` : `${this.currentChange + 1} / ${count}`;
+
+        this.diffOutput.querySelectorAll('.current-change').forEach(el => {
+            el.classList.remove('current-change');
+        });
+        if (this.currentChange === -1) return;
+
+        const targets = this.diffOutput.querySelectorAll(`[data-change="${this.currentChange}"]`);
+        targets.forEach(el => el.classList.add('current-change'));
+
+        if (scroll) {
+            const visible = Array.from(targets).find(el => el.offsetParent !== null);
+            if (visible) {
+                visible.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+    }
+
+    // Draw the DP matrix of the selected distance metric with its path
+    // highlighted. Jaro-Winkler has no empty-prefix row or column.
+    renderLCSTable(diff) {
+        const table = diff.distanceTable;
+        this.matrixCaption.textContent = DISTANCE_METRICS[diff.stats.metric].caption;
+        this.stopPlayback();
+
+        if (!this.canRenderLCSTable(diff)) {
+            this.lcsTableContainer.innerHTML = '<p>No DP table to display.</p>';
+            this.updatePlaybackControls(null);
+            return;
+        }
+
+        const { matrix, rowLabels, colLabels } = table;
+        const isJaro = table.metric === 'jaro-winkler';
+        const offset = isJaro ? 0 : 1;
+        const path = new Set(table.path.map(([i, j]) => `${i},${j}`));
+        const label = (labels, idx) => idx < offset ? '∅' : this.escapeHtml(labels[idx - offset]);
+        const cellText = value => isJaro ? ['', '·', '✓'][value] : value;
+
+        // Build table
+        let tableHTML = '<table class="lcs-table">';
+
+        // Header row
+        tableHTML += '<tr><td class="header"></td>';
+        for (let j = 0; j < matrix[0].length; j++) {
+            tableHTML += `<td class="header">${label(colLabels, j)}</td>`;
+        }
+        tableHTML += '</tr>';
+
+        // Data rows
+        for (let i = 0; i < matrix.length; i++) {
+            tableHTML += '<tr>';
+            tableHTML += `<td class="header">${label(rowLabels, i)}</td>`;
+            for (let j = 0; j < matrix[i].length; j++) {
+                const className = path.has(`${i},${j}`) ? 'lcs-path' : '';
+                tableHTML += `<td class="${className}" data-cell="${i},${j}">${cellText(matrix[i][j])}</td>`;
+            }
+            tableHTML += '</tr>';
+        }
+        tableHTML += '</table>';
+
+        this.lcsTableContainer.innerHTML = tableHTML;
+        this.updatePlaybackControls(table);
+    }
+
+    updatePlaybackControls(table) {
+        const cells = table ? table.matrix.length * table.matrix[0].length : 0;
+        const available = cells > 0 && cells <= PLAYBACK_MAX_CELLS;
+        [this.playPauseBtn, this.stepBtn, this.resetPlaybackBtn].forEach(btn => { btn.disabled = !available; });
+        this.playPauseBtn.textContent = '▶️ Play';
+
+        const side = Math.floor(Math.sqrt(PLAYBACK_MAX_CELLS));
+        this.playbackStatus.textContent = available ?
+            'Press Play or Step to watch the table being filled, then the path traced back.' :
+            (cells > 0 ? `Playback is limited to tables of about ${side} × ${side} cells.` : '');
+    }
+
+    // One step per cell in fill order, then one per cell of the path.
+    // Each fill step names the cells it reads and spells out the recurrence.
+    buildPlaybackSteps(table) {
+        const { matrix, rowItems, colItems, rowLabels, colLabels, metric } = table;
+        const steps = [];
+        const isJaro = metric === 'jaro-winkler';
+        const first = isJaro ? 0 : 1;
+        const at = (i, j) => isJaro ? `[${i},${j}]` : `dp[${i}][${j}]`;
+
+        for (let i = first; i < matrix.length; i++) {
+            for (let j = first; j < matrix[i].length; j++) {
+                const a = rowItems[i - first];
+                const b = colItems[j - first];
+                const same = a === b;
+                const compare = `A[${rowLabels[i - first]}] ${same ? '=' : '≠'} B[${colLabels[j - first]}]`;
+                const value = matrix[i][j];
+                let sources = [[i - 1, j - 1], [i - 1, j], [i, j - 1]];
+                let text;
+
+                if (metric === 'lcs') {
+                    if (same) {
+                        sources = [[i - 1, j - 1]];
+                        text = `${compare} → ${at(i - 1, j - 1)} + 1 = ${value}`;
+                    } else {
+                        sources = [[i - 1, j], [i, j - 1]];
+                        text = `${compare} → max(${matrix[i - 1][j]}, ${matrix[i][j - 1]}) = ${value}`;
+                    }
+                } else if (isJaro) {
+                    sources = [];
+                    text = [`A[${rowLabels[i]}] vs B[${colLabels[j]}]: too far apart to match`,
+                        `${compare} (or B already matched): in range, no match`,
+                        `${compare}: match`][value];
+                } else {
+                    const cost = same ? 0 : 1;
+                    const best = Math.min(matrix[i - 1][j - 1] + cost, matrix[i - 1][j] + 1, matrix[i][j - 1] + 1);
+                    text = `${compare} → min(${matrix[i - 1][j - 1]} + ${cost}, ${matrix[i - 1][j]} + 1, ${matrix[i][j - 1]} + 1) = ${best}`;
+                    if (value < best) text += `, but a transposition costs only ${value}`;
+                }
+
+                steps.push({ kind: 'fill', i: i, j: j, sources: sources, text: `${at(i, j)}: ${text}` });
+            }
+        }
+
+        const path = isJaro ? table.path : table.path.slice().reverse();
+        path.forEach(([i, j], idx) => {
+            steps.push({
+                kind: 'path',
+                i: i,
+                j: j,
+                sources: [],
+                text: isJaro ?
+                    `Match ${idx + 1} of ${path.length}: A[${rowLabels[i]}] ↔ B[${colLabels[j]}]` :
+                    `Backtrack ${idx + 1} / ${path.length}: ${at(i, j)} = ${table.matrix[i][j]}`
+            });
+        });
+
+        return steps;
+    }
+
+    // Blank every computed cell and clear the finished path
+    startPlayback() {
+        const table = this.currentDiff.distanceTable;
+        const cells = new Map();
+        this.lcsTableContainer.querySelectorAll('td[data-cell]').forEach(td => {
+            cells.set(td.dataset.cell, td);
+            td.classList.remove('lcs-path');
+        });
+
+        const steps = this.buildPlaybackSteps(table);
+        steps.forEach(step => {
+            if (step.kind === 'fill') cells.get(`${step.i},${step.j}`).classList.add('dp-pending');
+        });
+
+        this.playback = { steps: steps, cells: cells, index: 0, timer: null, marked: [] };
+    }
+
+    stepPlayback() {
+        if (!this.playback || this.playback.index >= this.playback.steps.length) {
+            this.startPlayback();
+        }
+
+        const playback = this.playback;
+        playback.marked.forEach(td => td.classList.remove('dp-current', 'dp-source'));
+
+        const step = playback.steps[playback.index++];
+        const cell = playback.cells.get(`${step.i},${step.j}`);
+        cell.classList.remove('dp-pending');
+        cell.classList.add('dp-current');
+        if (step.kind === 'path') cell.classList.add('lcs-path');
+        playback.marked = [cell];
+        step.sources.forEach(([i, j]) => {
+            const source = playback.cells.get(`${i},${j}`);
+            source.classList.add('dp-source');
+            playback.marked.push(source);
+        });
+
+        this.playbackStatus.textContent = step.text;
+        if (playback.index >= playback.steps.length) {
+            this.pausePlayback();
+        }
+    }
+
+    togglePlayback() {
+        if (this.playback && this.playback.timer !== null) {
+            this.pausePlayback();
+            return;
+        }
+        if (!this.playback || this.playback.index >= this.playback.steps.length) {
+            this.startPlayback();
+        }
+
+        // Speed is in steps per second
+        this.playback.timer = setInterval(() => this.stepPlayback(), 1000 / parseInt(this.playbackSpeed.value));
+        this.playPauseBtn.textContent = '⏸️ Pause';
+    }
+
+    pausePlayback() {
+        if (!this.playback) return;
+        clearInterval(this.playback.timer);
+        this.playback.timer = null;
+        this.playPauseBtn.textContent = '▶️ Play';
+    }
+
+    stopPlayback() {
+        this.pausePlayback();
+        this.playback = null;
+    }
+
+    updateStats(stats) {
+        this.additionsCount.textContent = stats.additions;
+        this.deletionsCount.textContent = stats.deletions;
+        this.changesCount.textContent = stats.changes;
+        this.editDistanceLabel.textContent = DISTANCE_METRICS[stats.metric].label + ':';
+        this.similarityPercent.textContent = stats.similarity === null ? '—' : stats.similarity + '%';
+        this.editDistance.textContent = stats.editDistance === null ? '—' : stats.editDistance;
+        this.similarityPercent.title = this.editDistance.title = stats.metricFallback ?
+            `Input too large for ${DISTANCE_METRICS[this.distanceMetric.value].label} - showing Insert/Delete on lines` : '';
+        this.movedCount.textContent = this.formatMoved(stats);
+    }
+
+    formatMoved(stats) {
+        return stats.moved ?
+            `${stats.moved} (${stats.movedLines} line${stats.movedLines === 1 ? '' : 's'})` : '0';
+    }
+
+    updateEngineInfo(diff) {
+        const engine = diff.lcsResult.algorithm === 'myers' ? 'Myers O(ND)' : 'LCS (DP table)';
+        const language = diff.syntax ? diff.syntax.language : 'plain text';
+        this.engineUsed.textContent = `${engine} · ${language}`;
+    }
+
+    switchMode(mode) {
+        const wasMerge = this.currentMode === 'merge';
+        this.pausePlayback();
+        this.currentMode = mode;
+        
+        // Update active button
+        this.modeButtons.forEach(btn => {
+            if (btn.dataset.mode === mode) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+        
+        // Show appropriate view
+        this.sideBySideView.classList.add('hidden');
+        this.unifiedView.classList.add('hidden');
+        this.lcsTableView.classList.add('hidden');
+        this.mergeView.classList.add('hidden');
+        this.structureView.classList.add('hidden');
+        this.updateEditorLabels();
+        
+        switch (mode) {
+            case 'side-by-side':
+                this.sideBySideView.classList.remove('hidden');
+                break;
+            case 'unified':
+                this.unifiedView.classList.remove('hidden');
+                break;
+            case 'lcs-table':
+                this.lcsTableView.classList.remove('hidden');
+                break;
+            case 'merge':
+                this.mergeView.classList.remove('hidden');
+                break;
+            case 'structure':
+                this.structureView.classList.remove('hidden');
+                break;
+        }
+
+        // Entering or leaving merge mode changes what the result pane holds
+        const showingResult = !this.diffOutput.classList.contains('hidden');
+        if (showingResult && wasMerge !== (mode === 'merge')) {
+            this.compareCode();
+        }
+    }
+
+    // In merge mode the two editors become "ours" and "theirs"
+    updateEditorLabels() {
+        const merging = this.currentMode === 'merge';
+        this.editorsContainer.classList.toggle('merge-mode', merging);
+        this.originalTitle.textContent = merging ? '👤 Ours' : '📄 Original Code';
+        this.originalLabel.textContent = merging ? 'Our Edit' : 'Before';
+        this.modifiedTitle.textContent = merging ? '👥 Theirs' : '📝 Modified Code';
+        this.modifiedLabel.textContent = merging ? 'Their Edit' : 'After';
+    }
+
+    async mergeCode() {
+        const base = this.baseCodeEditor.value;
+        const ours = this.originalCodeEditor.value;
+        const theirs = this.modifiedCodeEditor.value;
+
+        if (!base.trim() && !ours.trim() && !theirs.trim()) {
+            alert('⚠️ Please enter the base, ours and theirs versions to merge!');
+            return;
+        }
+
+        this.applyDiffOptions();
+        const merge = await this.runInBackground('Merge', 'merge', { base: base, ours: ours, theirs: theirs },
+            this.getDiffOptions());
+        if (!merge) return;
+
+        this.currentMerge = merge;
+        this.renderMerge(this.currentMerge);
+
+        this.editorsContainer.classList.add('hidden');
+        this.diffOutput.classList.remove('hidden');
+        
+        this.rememberSession({ conflicts: this.currentMerge.conflicts });
+    }
+
+    renderMerge(result) {
+        const renderLines = (lines, type) => lines.map(line => `<div class="diff-line ${type}">
+                <span class="line-content">${this.escapeHtml(line) || '&nbsp;'}</span>
+            </div>`).join('');
+
+        let conflictIndex = 0;
+        this.mergeResult.innerHTML = result.chunks.map((chunk, chunkIdx) => {
+            switch (chunk.type) {
+                case 'stable':
+                    return renderLines(chunk.lines, 'unchanged');
+                case 'ours':
+                case 'theirs':
+                case 'both':
+                    return renderLines(chunk.lines, `merged-${chunk.type}`);
+            }
+
+            conflictIndex++;
+            const actions = `<div class="conflict-actions">
+                    <span class="conflict-marker">⚠️ Conflict ${conflictIndex}</span>
+                    <button data-conflict="${chunkIdx}" data-pick="ours">Use Ours</button>
+                    <button data-conflict="${chunkIdx}" data-pick="theirs">Use Theirs</button>
+                    <button data-conflict="${chunkIdx}" data-pick="both">Use Both</button>
+                    ${chunk.resolution ? `<button data-conflict="${chunkIdx}" data-pick="">↩️ Undo</button>` : ''}
+                </div>`;
+
+            if (chunk.resolution) {
+                return `<div class="merge-conflict resolved">
+                    ${actions}
+                    ${renderLines(this.threeWayMerge.resolveConflict(chunk), 'merged-both')}
+                </div>`;
+            }
+
+            return `<div class="merge-conflict">
+                ${actions}
+                <div class="conflict-marker">&lt;&lt;&lt;&lt;&lt;&lt;&lt; ours</div>
+                <div class="conflict-side ours">${renderLines(chunk.ours, 'unchanged')}</div>
+                <div class="conflict-marker">=======</div>
+                <div class="conflict-side theirs">${renderLines(chunk.theirs, 'unchanged')}</div>
+                <div class="conflict-marker">&gt;&gt;&gt;&gt;&gt;&gt;&gt; theirs</div>
+            </div>`;
+        }).join('');
+
+        const unresolved = result.chunks.filter(chunk =>
+            chunk.type === 'conflict' && !chunk.resolution).length;
+        this.conflictCount.textContent = result.conflicts === 0 ? '✅ Merged cleanly' :
+            `${unresolved} of ${result.conflicts} conflict${result.conflicts === 1 ? '' : 's'} unresolved`;
+        this.conflictCount.classList.toggle('resolved', unresolved === 0);
+    }
+
+    resolveConflict(chunkIdx, pick) {
+        const chunk = this.currentMerge.chunks[chunkIdx];
+        chunk.resolution = pick || null;
+        this.renderMerge(this.currentMerge);
+    }
+
+    renderStructure(structure) {
+        if (!structure || structure.error) {
+            this.structureChanges.innerHTML = `<p class="structure-error">⚠️ ${this.escapeHtml(
+                structure ? structure.error : 'Nothing to compare')}</p>`;
+            this.structureTree.innerHTML = '';
+            this.exportJsonPatchBtn.disabled = true;
+            return;
+        }
+
+        this.exportJsonPatchBtn.disabled = false;
+        if (structure.changes.length === 0) {
+            this.structureChanges.innerHTML = '<p class="structure-summary">✅ Documents are structurally identical</p>';
+        } else {
+            this.structureChanges.innerHTML = `<p class="structure-summary">
+                    ${structure.changes.length} change${structure.changes.length === 1 ? '' : 's'} (${structure.format.toUpperCase()})
+                </p>` + structure.changes.map(change => `<div class="diff-line ${this.structureLineClass(change.type)}">
+                    <span class="line-content">${this.escapeHtml(this.structuralDiff.describeChange(change))}</span>
+                </div>`).join('');
+        }
+
+        this.structureTree.innerHTML = this.renderTreeNode(structure.tree);
+    }
+
+    structureLineClass(status) {
+        if (status === 'added') return 'addition';
+        if (status === 'removed') return 'deletion';
+        if (status === 'changed') return 'changed';
+        return 'unchanged';
+    }
+
+    renderTreeNode(node) {
+        const label = `<span class="tree-key">${this.escapeHtml(node.label)}</span>`;
+        const badge = node.status === 'unchanged' ? '' :
+            `<span class="tree-badge ${node.status}">${node.status}</span>`;
+
+        if (node.children) {
+            const open = node.status !== 'unchanged' ? ' open' : '';
+            const bracket = Array.isArray(node.newValue) ? '[ ]' : '{ }';
+            return `<details class="tree-node"${open}>
+                <summary>${label} <span class="tree-type">${bracket}</span> ${badge}</summary>
+                <div class="tree-children">${node.children.map(child => this.renderTreeNode(child)).join('')}</div>
+            </details>`;
+        }
+
+        const format = value => this.escapeHtml(this.structuralDiff.formatValue(value));
+        let value;
+        if (node.status === 'added') value = format(node.newValue);
+        else if (node.status === 'removed') value = format(node.oldValue);
+        else if (node.status === 'changed') value = `${format(node.oldValue)} → ${format(node.newValue)}`;
+        else value = format(node.newValue);
+
+        return `<div class="tree-leaf ${node.status}">${label}: <span class="tree-value">${value}</span> ${badge}</div>`;
+    }
+
+    exportJSONPatch() {
+        if (!this.currentStructure || this.currentStructure.error) return;
+
+        const json = JSON.stringify(this.currentStructure.patch, null, 2);
+        const blob = new Blob([json], { type: 'application/json-patch+json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'changes.json-patch';
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    downloadMerge() {
+        if (!this.currentMerge) return;
+
+        const text = this.threeWayMerge.toText(this.currentMerge);
+        const blob = new Blob([text], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'merged.txt';
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Self-contained HTML page of the current diff, in the unified layout when
+    // that view is open and side-by-side otherwise
+    exportReport() {
+        if (!this.currentDiff || this.currentMode === 'merge') {
+            alert('⚠️ Compare two versions first - reports cover side-by-side and unified diffs');
+            return;
+        }
+
+        const html = this.buildReport(this.currentDiff, this.currentMode === 'unified' ? 'unified' : 'side-by-side');
+        const blob = new Blob([html], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'diff-report.html';
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    buildReport(diff, layout) {
+        const file = this.currentDirectory && this.currentDirectory.files[this.currentFileIdx];
+        const title = file ? `Diff: ${file.path}` : 'Code Diff Report';
+        const stats = diff.stats;
+        const statItems = [
+            ['Additions', stats.additions],
+            ['Deletions', stats.deletions],
+            ['Changes', stats.changes],
+            ['Moved', this.formatMoved(stats)],
+            ['Similarity', stats.similarity === null ? '—' : stats.similarity + '%'],
+            [DISTANCE_METRICS[stats.metric].label, stats.editDistance === null ? '—' : stats.editDistance]
+        ];
+        const table = layout === 'unified' ? this.reportUnified(diff) : this.reportSideBySide(diff);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${this.escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>📝 ${this.escapeHtml(title)}</h1>
+<div class="report-meta">Generated ${new Date().toLocaleString()} · ${this.escapeHtml(this.engineUsed.textContent)}</div>
+<div class="report-stats">${statItems.map(([label, value]) =>
+    `<span>${label}:<strong>${this.escapeHtml(String(value))}</strong></span>`).join('')}</div>
+${table}
+</body>
+</html>
+`;
+    }
+
+    // Table rows for the visible lines; collapsed gaps stay collapsed
+    reportRows(diff, columns, renderLine) {
+        return this.buildVisibleRows(diff).map(row => {
+            if (row.kind === 'gap') {
+                const count = row.end - row.start;
+                return `<tr class="gap"><td colspan="${columns}">… ${count} unchanged line${count === 1 ? '' : 's'} …</td></tr>`;
+            }
+
+            let html = '';
+            for (let idx = row.start; idx < row.end; idx++) {
+                html += renderLine(idx);
+            }
+            return html;
+        }).join('\n');
+    }
+
+    // Content cell with the same line classes and move badge as the live views
+    reportCell(diff, line, lineNum, html) {
+        const classes = `${line.type}${line.ignored ? ' ignored' : ''}${line.moveId !== undefined ? ' moved' : ''}`;
+        return `<td class="${classes}">${this.moveDecoration(diff, line, lineNum).badge}${html}</td>`;
+    }
+
+    reportSideBySide(diff) {
+        const cells = (line, side) => {
+            const number = `<td class="line-number${side === 'modified' ? ' pane-start' : ''}">${line.lineNum || ''}</td>`;
+            if (line.type === 'empty') return number + '<td class="empty"></td>';
+            return number + this.reportCell(diff, line, line.lineNum,
+                this.renderLineContent(line, this.syntaxFor(diff, side, line.lineNum)));
+        };
+
+        const rows = this.reportRows(diff, 4, idx =>
+            `<tr>${cells(diff.original[idx], 'original')}${cells(diff.modified[idx], 'modified')}</tr>`);
+        return `<table class="side-by-side">
+<colgroup><col style="width: 3.5em"><col><col style="width: 3.5em"><col></colgroup>
+<thead><tr><th></th><th>📄 Original</th><th></th><th>📝 Modified</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+    }
+
+    reportUnified(diff) {
+        const rows = this.reportRows(diff, 3, idx => {
+            const line = diff.unified[idx];
+            const isAddition = line.type === 'addition';
+            const prefix = isAddition ? '+' : line.type === 'deletion' ? '-' : ' ';
+            const content = this.renderLineContent(line, isAddition ?
+                this.syntaxFor(diff, 'modified', line.modLineNum) :
+                this.syntaxFor(diff, 'original', line.origLineNum));
+            return `<tr><td class="line-number">${line.origLineNum || ''}</td>` +
+                `<td class="line-number">${line.modLineNum || ''}</td>` +
+                this.reportCell(diff, line, isAddition ? line.modLineNum : line.origLineNum, `${prefix} ${content}`) +
+                '</tr>';
+        });
+        return `<table class="unified">
+<colgroup><col style="width: 3.5em"><col style="width: 3.5em"><col></colgroup>
+<thead><tr><th>Old</th><th>New</th><th>📋 Unified Diff</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+    }
+
+    applyDiffOptions() {
+        this.diffGenerator.setOptions(this.getDiffOptions());
+    }
+
+    getDiffOptions() {
+        return {
+            ignoreWhitespace: this.ignoreWhitespace.checked,
+            ignoreCase: this.ignoreCase.checked,
+            algorithm: this.diffAlgorithm.value,
+            inlineMode: this.inlineMode.value,
+            contextLines: this.getContextLines(),
+            language: this.languageSelect.value,
+            ignoreFormatting: this.ignoreFormatting.checked,
+            detectMoves: this.detectMoves.checked,
+            metric: this.distanceMetric.value,
+            metricUnit: this.metricUnit.value,
+            rules: this.getNormalizationRules()
+        };
+    }
+
+    // Line endings are fixed before the user's regexes see the line, and
+    // whitespace is dropped after them so patterns can still match on it
+    getNormalizationRules() {
+        return [
+            ...(this.ignoreLineEndings.checked ? [{ type: 'ignoreLineEndings' }] : []),
+            ...this.customRules,
+            ...(this.ignoreAllWhitespace.checked ? [{ type: 'ignoreAllWhitespace' }] : []),
+            ...(this.ignoreBlankLines.checked ? [{ type: 'ignoreBlankLines' }] : [])
+        ];
+    }
+
+    addRule() {
+        const pattern = this.rulePattern.value;
+        if (!pattern) {
+            alert('⚠️ Enter a regex pattern first');
+            return;
+        }
+
+        const rule = { type: this.ruleType.value, pattern: pattern };
+        if (rule.type === 'replace') {
+            rule.replacement = this.ruleReplacement.value;
+        }
+
+        const error = this.ruleError(rule);
+        if (error) {
+            alert(`⚠️ ${error}`);
+            return;
+        }
+
+        this.customRules.push(rule);
+        this.rulePattern.value = '';
+        this.ruleReplacement.value = '';
+        this.rulesChanged();
+    }
+
+    // Why a custom rule cannot be used, or null if it can. Checks rules typed
+    // into the editor as well as ones arriving from links and the history.
+    ruleError(rule) {
+        const types = Array.from(this.ruleType.options, option => option.value);
+        if (!rule || typeof rule !== 'object' || !types.includes(rule.type)) {
+            return 'Unknown normalization rule';
+        }
+        if (typeof rule.pattern !== 'string' || !rule.pattern) return 'A rule needs a regex pattern';
+        if (rule.type === 'replace' && typeof rule.replacement !== 'string') return 'A replace rule needs replacement text';
+
+        try {
+            new LineNormalizer([rule]);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    removeRule(idx) {
+        this.customRules.splice(idx, 1);
+        this.rulesChanged();
+    }
+
+    rulesChanged() {
+        this.renderRuleList();
+        if (this.currentDiff) {
+            this.compareCode();
+        }
+    }
+
+    renderRuleList() {
+        this.ruleList.innerHTML = this.customRules.map((rule, idx) => {
+            const regex = `/${this.escapeHtml(rule.pattern)}/${rule.flags || ''}`;
+            const action = rule.type === 'replace' ?
+                `→ "${this.escapeHtml(rule.replacement)}"` : '→ ignored';
+            return `<div class="rule-item">
+                <code>${regex} ${action}</code>
+                <button class="rule-remove" data-rule="${idx}" title="Remove rule">✖</button>
+            </div>`;
+        }).join('');
+    }
+
+    loadSavedPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(NORMALIZATION_PRESETS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    renderPresetOptions(selected = '') {
+        const saved = this.loadSavedPresets();
+        const option = name => `<option value="${this.escapeHtml(name).replace(/"/g, '&quot;')}"${name === selected ? ' selected' : ''}>${this.escapeHtml(name)}</option>`;
+        const builtIn = Object.keys(BUILTIN_NORMALIZATION_PRESETS).filter(name => !Object.hasOwn(saved, name));
+
+        this.presetSelect.innerHTML = '<option value="">— Choose a preset —</option>' +
+            `<optgroup label="Built-in">${builtIn.map(option).join('')}</optgroup>` +
+            (Object.keys(saved).length ? `<optgroup label="Saved">${Object.keys(saved).map(option).join('')}</optgroup>` : '');
+    }
+
+    // Own keys only, so a preset named "constructor" or "toString" is just a name
+    applyPreset(name) {
+        const saved = this.loadSavedPresets();
+        const preset = Object.hasOwn(saved, name) ? saved[name] :
+            Object.hasOwn(BUILTIN_NORMALIZATION_PRESETS, name) ? BUILTIN_NORMALIZATION_PRESETS[name] : null;
+        if (!preset) return;
+
+        ['ignoreWhitespace', 'ignoreCase', 'ignoreAllWhitespace', 'ignoreBlankLines', 'ignoreLineEndings']
+            .forEach(key => { this[key].checked = Boolean(preset.switches[key]); });
+        this.customRules = preset.rules.map(rule => Object.assign({}, rule));
+        this.rulesChanged();
+    }
+
+    savePreset() {
+        const name = prompt('Save the current rules as preset:', this.presetSelect.value);
+        if (!name) return;
+
+        const saved = this.loadSavedPresets();
+        const preset = {
+            switches: {
+                ignoreWhitespace: this.ignoreWhitespace.checked,
+                ignoreCase: this.ignoreCase.checked,
+                ignoreAllWhitespace: this.ignoreAllWhitespace.checked,
+                ignoreBlankLines: this.ignoreBlankLines.checked,
+                ignoreLineEndings: this.ignoreLineEndings.checked
+            },
+            rules: this.customRules
         };
+        // defineProperty, so a "__proto__" name is stored rather than swapping the prototype
+        Object.defineProperty(saved, name, { value: preset, enumerable: true, writable: true, configurable: true });
+        localStorage.setItem(NORMALIZATION_PRESETS_KEY, JSON.stringify(saved));
+        this.renderPresetOptions(name);
     }
 
-    loadExample(exampleName) {
-        const example = this.examples[exampleName];
-        if (example) {
-            this.originalCodeEditor.value = example.original;
-            this.modifiedCodeEditor.value = example.modified;
-            
-            // Auto-compare after loading example
-            setTimeout(() => this.compareCode(), 100);
+    deletePreset() {
+        const name = this.presetSelect.value;
+        const saved = this.loadSavedPresets();
+        if (!Object.hasOwn(saved, name)) {
+            alert('⚠️ Pick a saved preset to delete - built-in presets cannot be removed');
+            return;
         }
+
+        delete saved[name];
+        localStorage.setItem(NORMALIZATION_PRESETS_KEY, JSON.stringify(saved));
+        this.renderPresetOptions();
+    }
+
+    getContextLines() {
+        return Math.max(0, parseInt(this.contextLines.value) || 0);
     }
 
-    compareCode() {
+    async exportPatch() {
         const original = this.originalCodeEditor.value;
         const modified = this.modifiedCodeEditor.value;
-        
-        if (!original.trim() && !modified.trim()) {
-            alert('⚠️ Please enter some code to compare!');
+
+        const patch = await this.runInBackground('Patch export', 'patch', { original: original, modified: modified },
+            { algorithm: this.diffAlgorithm.value, contextLines: this.getContextLines() });
+        if (patch === null) return;
+
+        if (!patch) {
+            alert('⚠️ No differences - nothing to export!');
             return;
         }
-        
-        // Set options
-        this.diffGenerator.setOptions({
-            ignoreWhitespace: this.ignoreWhitespace.checked,
-            ignoreCase: this.ignoreCase.checked
-        });
-        
-        // Generate diff
-        this.currentDiff = this.diffGenerator.generateDiff(original, modified);
-        
-        // Update UI
-        this.renderDiff(this.currentDiff);
-        this.updateStats(this.currentDiff.stats);
-        
-        // Show diff output
-        this.editorsContainer.classList.add('hidden');
-        this.diffOutput.classList.remove('hidden');
-    }
 
-    renderDiff(diff) {
-        this.renderSideBySide(diff);
-        this.renderUnified(diff);
-        this.renderLCSTable(diff.lcsResult);
+        const blob = new Blob([patch], { type: 'text/x-diff' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'changes.patch';
+        a.click();
+        URL.revokeObjectURL(url);
     }
 
-    renderSideBySide(diff) {
-        const showLineNumbers = this.showLineNumbers.checked;
-        
-        this.originalDiff.innerHTML = diff.original.map(line => {
-            const lineNum = showLineNumbers && line.lineNum ? 
-                `<span class="line-number">${line.lineNum}</span>` : '';
-            const content = this.escapeHtml(line.content) || '&nbsp;';
-            return `<div class="diff-line ${line.type}">
-                ${lineNum}
-                <span class="line-content">${content}</span>
-            </div>`;
-        }).join('');
-        
-        this.modifiedDiff.innerHTML = diff.modified.map(line => {
-            const lineNum = showLineNumbers && line.lineNum ? 
-                `<span class="line-number">${line.lineNum}</span>` : '';
-            const content = this.escapeHtml(line.content) || '&nbsp;';
-            return `<div class="diff-line ${line.type}">
-                ${lineNum}
-                <span class="line-content">${content}</span>
-            </div>`;
-        }).join('');
-    }
+    handlePatchUpload(e) {
+        const file = e.target.files[0];
+        if (!file) return;
 
-    renderUnified(diff) {
-        const showLineNumbers = this.showLineNumbers.checked;
-        
-        this.unifiedDiff.innerHTML = diff.unified.map(line => {
-            let lineNum = '';
-            if (showLineNumbers) {
-                const origNum = line.origLineNum || ' ';
-                const modNum = line.modLineNum || ' ';
-                lineNum = `<span class="line-number">${origNum}|${modNum}</span>`;
-            }
-            
-            let prefix = ' ';
-            if (line.type === 'deletion') prefix = '-';
-            if (line.type === 'addition') prefix = '+';
-            
-            const content = this.escapeHtml(line.content) || '&nbsp;';
-            return `<div class="diff-line ${line.type}">
-                ${lineNum}
-                <span class="line-content">${prefix} ${content}</span>
-            </div>`;
-        }).join('');
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            this.applyPatchText(event.target.result);
+        };
+        reader.readAsText(file);
+
+        // Allow picking the same file again
+        e.target.value = '';
     }
 
-    renderLCSTable(lcsResult) {
-        const { dpTable, lcs } = lcsResult;
-        
-        if (!dpTable || dpTable.length === 0) {
-            this.lcsTableContainer.innerHTML = '<p>No LCS table to display.</p>';
+    applyPatchText(patchText) {
+        let patch;
+        try {
+            patch = this.unifiedPatch.parsePatch(patchText);
+        } catch (error) {
+            alert(`⚠️ Could not read patch: ${error.message}`);
             return;
         }
-        
-        // Create LCS path set for highlighting
-        const lcsPath = new Set();
-        lcs.forEach(item => {
-            lcsPath.add(`${item.i + 1},${item.j + 1}`);
-        });
-        
-        // Build table
-        let tableHTML = '<table class="lcs-table">';
-        
-        // Header row
-        tableHTML += '<tr><td class="header"></td><td class="header">∅</td>';
-        for (let j = 1; j < dpTable[0].length; j++) {
-            tableHTML += `<td class="header">${j}</td>`;
+
+        const result = this.unifiedPatch.applyPatch(this.originalCodeEditor.value, patch);
+        this.originalCodeEditor.value = result.text;
+
+        let message = `✅ Applied ${result.applied.length} of ${patch.hunks.length} hunk(s).`;
+        const shifted = result.applied.filter(item => item.offset !== 0).length;
+        if (shifted > 0) {
+            message += `\n↕️ ${shifted} hunk(s) applied at an offset.`;
         }
-        tableHTML += '</tr>';
-        
-        // Data rows
-        for (let i = 0; i < dpTable.length; i++) {
-            tableHTML += '<tr>';
-            tableHTML += `<td class="header">${i === 0 ? '∅' : i}</td>`;
-            for (let j = 0; j < dpTable[i].length; j++) {
-                const isPath = lcsPath.has(`${i},${j}`);
-                const className = isPath ? 'lcs-path' : '';
-                tableHTML += `<td class="${className}">${dpTable[i][j]}</td>`;
-            }
-            tableHTML += '</tr>';
+        if (result.rejected.length > 0) {
+            message += `\n❌ Rejected (context did not match):\n` +
+                result.rejected.map(hunk => `   ${hunk.header}`).join('\n');
+        }
+        alert(message);
+
+        if (this.currentDiff) {
+            this.compareCode();
         }
-        tableHTML += '</table>';
-        
-        this.lcsTableContainer.innerHTML = tableHTML;
     }
 
-    updateStats(stats) {
-        this.additionsCount.textContent = stats.additions;
-        this.deletionsCount.textContent = stats.deletions;
-        this.changesCount.textContent = stats.changes;
-        this.similarityPercent.textContent = stats.similarity + '%';
-        this.editDistance.textContent = stats.editDistance;
+    // 'apply' copies a hunk's modified lines into Original, 'revert' copies
+    // its original lines back into Modified
+    transferHunk(hunkIdx, action) {
+        const diff = this.currentDiff;
+        const hunk = diff && diff.hunks[hunkIdx];
+        if (!hunk) return;
+
+        const lines = this.diffGenerator.transferHunk(diff.unified, hunk, action,
+            this.originalCodeEditor.value.split('\n'), this.modifiedCodeEditor.value.split('\n'));
+        return this.recordEdit({ original: lines.original.join('\n'), modified: lines.modified.join('\n') });
     }
 
-    switchMode(mode) {
-        this.currentMode = mode;
-        
-        // Update active button
-        this.modeButtons.forEach(btn => {
-            if (btn.dataset.mode === mode) {
-                btn.classList.add('active');
-            } else {
-                btn.classList.remove('active');
-            }
-        });
-        
-        // Show appropriate view
-        this.sideBySideView.classList.add('hidden');
-        this.unifiedView.classList.add('hidden');
-        this.lcsTableView.classList.add('hidden');
-        
-        switch (mode) {
-            case 'side-by-side':
-                this.sideBySideView.classList.remove('hidden');
-                break;
-            case 'unified':
-                this.unifiedView.classList.remove('hidden');
-                break;
-            case 'lcs-table':
-                this.lcsTableView.classList.remove('hidden');
-                break;
+    editorTexts() {
+        return { original: this.originalCodeEditor.value, modified: this.modifiedCodeEditor.value };
+    }
+
+    sameTexts(a, b) {
+        return a.original === b.original && a.modified === b.modified;
+    }
+
+    setEditorTexts(texts) {
+        this.originalCodeEditor.value = texts.original;
+        this.modifiedCodeEditor.value = texts.modified;
+
+        // Nothing left to compare - go back to the (empty) editors
+        if (!texts.original.trim() && !texts.modified.trim()) {
+            this.backToEdit();
+            return Promise.resolve();
         }
+        return this.compareCode(true);
+    }
+
+    recordEdit(after) {
+        this.undoStack.push({ before: this.editorTexts(), after: after });
+        this.redoStack = [];
+        return this.setEditorTexts(after);
+    }
+
+    undoEdit() {
+        this.syncEditHistory();
+        const edit = this.undoStack.pop();
+        if (!edit) return;
+
+        this.redoStack.push(edit);
+        return this.setEditorTexts(edit.before);
+    }
+
+    redoEdit() {
+        this.syncEditHistory();
+        const edit = this.redoStack.pop();
+        if (!edit) return;
+
+        this.undoStack.push(edit);
+        return this.setEditorTexts(edit.after);
+    }
+
+    // Undo and redo only hold while the editors still show the texts they
+    // left behind; typing, swapping or loading something else drops them
+    syncEditHistory() {
+        const current = this.editorTexts();
+        const undoTop = this.undoStack[this.undoStack.length - 1];
+        const redoTop = this.redoStack[this.redoStack.length - 1];
+        if (undoTop && !this.sameTexts(undoTop.after, current)) this.undoStack = [];
+        if (redoTop && !this.sameTexts(redoTop.before, current)) this.redoStack = [];
+
+        this.undoEditBtn.disabled = this.undoStack.length === 0;
+        this.redoEditBtn.disabled = this.redoStack.length === 0;
     }
 
     backToEdit() {
@@ -584,17 +4558,351 @@ class DiffVisualizerUI {
     clearAll() {
         this.originalCodeEditor.value = '';
         this.modifiedCodeEditor.value = '';
+        this.baseCodeEditor.value = '';
         this.currentDiff = null;
+        this.currentMerge = null;
+        this.currentStructure = null;
         
         this.additionsCount.textContent = '0';
         this.deletionsCount.textContent = '0';
         this.changesCount.textContent = '0';
         this.similarityPercent.textContent = '0%';
         this.editDistance.textContent = '0';
+        this.movedCount.textContent = '0';
+        this.engineUsed.textContent = '—';
+        this.changePosition.textContent = '– / 0';
         
         this.backToEdit();
     }
 
+    handleFolderInput(side, event) {
+        const input = event.target;
+        const files = input.files;
+        if (!files || files.length === 0) return;
+
+        if (input.dataset.input === 'zip') {
+            this.loadFileSet(side, this.fileSetLoader.fromZip(files[0]), files[0].name);
+        } else {
+            const name = (files[0].webkitRelativePath || files[0].name).split('/')[0];
+            this.loadFileSet(side, this.fileSetLoader.fromFileList(files), name);
+        }
+        input.value = '';
+    }
+
+    handleFolderDrop(side, event) {
+        // webkitGetAsEntry only works while the drop event is being handled
+        const item = event.dataTransfer.items && event.dataTransfer.items[0];
+        const entry = item && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+        const file = event.dataTransfer.files[0];
+
+        if (entry && entry.isDirectory) {
+            this.loadFileSet(side, this.fileSetLoader.fromDirectoryEntry(entry), entry.name);
+        } else if (file && /\.zip$/i.test(file.name)) {
+            this.loadFileSet(side, this.fileSetLoader.fromZip(file), file.name);
+        } else {
+            alert('⚠️ Drop a folder or a .zip file');
+        }
+    }
+
+    async loadFileSet(side, loading, name) {
+        const label = document.querySelector(`.folder-slot[data-side="${side}"] .folder-slot-name`);
+        label.textContent = `⏳ Reading ${name}…`;
+        this.fileSets[side] = null;
+
+        try {
+            const files = await loading;
+            this.fileSets[side] = files;
+            label.textContent = `${name} (${files.size} file${files.size === 1 ? '' : 's'})`;
+        } catch (error) {
+            label.textContent = 'Drop a folder or .zip';
+            alert(`⚠️ Could not read ${name}: ${error.message}`);
+        }
+
+        this.compareFoldersBtn.disabled = !(this.fileSets.original && this.fileSets.modified);
+    }
+
+    async compareFolders() {
+        if (!this.fileSets.original || !this.fileSets.modified) {
+            alert('⚠️ Pick a folder or .zip for both sides first');
+            return;
+        }
+
+        this.applyDiffOptions();
+        const directory = await this.runInBackground('Folder comparison', 'folders',
+            { original: this.fileSets.original, modified: this.fileSets.modified }, this.getDiffOptions());
+        if (!directory) return;
+
+        this.currentDirectory = directory;
+        this.currentFileIdx = -1;
+        this.renderFileTree();
+        this.fileTreePanel.classList.remove('hidden');
+
+        // Start on the first file that changed
+        const first = this.currentDirectory.files.findIndex(file => file.status !== 'unchanged' && !file.binary);
+        if (first !== -1) {
+            this.openFilePair(first);
+        }
+    }
+
+    renderFileTree() {
+        const { totals, tree } = this.currentDirectory;
+        this.fileTreeSummary.innerHTML = `
+            <span class="file-badge added">${totals.added} added</span>
+            <span class="file-badge removed">${totals.removed} removed</span>
+            <span class="file-badge modified">${totals.modified} modified</span>
+            <span class="file-badge unchanged">${totals.unchanged} unchanged</span>
+            <span class="file-stats"><span class="plus">+${totals.additions}</span> <span class="minus">−${totals.deletions}</span></span>`;
+        this.fileTree.innerHTML = this.sortedChildren(tree).map(child => this.renderFileNode(child)).join('') ||
+            '<p>No files found.</p>';
+
+        const current = this.currentDirectory.files[this.currentFileIdx];
+        this.currentFileName.textContent = current ? current.path : '';
+    }
+
+    // Folders first, then files, each alphabetically
+    sortedChildren(node) {
+        return Array.from(node.children.values()).sort((a, b) => {
+            if (Boolean(a.file) !== Boolean(b.file)) return a.file ? 1 : -1;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    renderFileNode(node) {
+        const name = this.escapeHtml(node.name);
+
+        if (!node.file) {
+            const open = node.status !== 'unchanged' ? ' open' : '';
+            return `<details class="tree-node"${open}>
+                <summary><span class="file-status ${node.status}"></span>📁 ${name}</summary>
+                <div class="tree-children">${this.sortedChildren(node).map(child => this.renderFileNode(child)).join('')}</div>
+            </details>`;
+        }
+
+        const file = node.file;
+        const idx = node.fileIdx;
+        let stats = '';
+        if (file.binary) {
+            stats = 'binary';
+        } else if (file.status !== 'unchanged') {
+            stats = `<span class="plus">+${file.stats.additions}</span> <span class="minus">−${file.stats.deletions}</span>`;
+            if (file.stats.moved) stats += ` <span class="moved">⇄${file.stats.moved}</span>`;
+        }
+        const active = idx === this.currentFileIdx ? ' active' : '';
+
+        return `<div class="file-row ${file.status}${active}" data-file="${idx}" title="${file.status}">
+            <span class="file-status ${file.status}"></span>
+            <span class="file-name">📄 ${name}</span>
+            <span class="file-stats">${stats}</span>
+        </div>`;
+    }
+
+    // Load one file pair into the editors and diff it with the usual views
+    openFilePair(idx) {
+        const file = this.currentDirectory.files[idx];
+        if (file.binary) {
+            alert(`⚠️ ${file.path} is a binary file - only its hash was compared`);
+            return;
+        }
+
+        this.currentFileIdx = idx;
+        this.originalCodeEditor.value = file.original || '';
+        this.modifiedCodeEditor.value = file.modified || '';
+        if (this.currentMode === 'merge') {
+            this.switchMode('side-by-side');
+        }
+        this.renderFileTree();
+        this.compareCode();
+    }
+
+    closeFileTree() {
+        this.currentDirectory = null;
+        this.currentFileIdx = -1;
+        this.fileTreePanel.classList.add('hidden');
+    }
+
+    // Everything needed to reproduce the current comparison
+    captureSession() {
+        const session = {
+            original: this.originalCodeEditor.value,
+            modified: this.modifiedCodeEditor.value,
+            base: this.baseCodeEditor.value,
+            mode: this.currentMode,
+            switches: {},
+            values: {},
+            rules: this.customRules
+        };
+        SESSION_SWITCHES.forEach(key => { session.switches[key] = this[key].checked; });
+        SESSION_VALUES.forEach(key => { session.values[key] = this[key].value; });
+        return session;
+    }
+
+    // Rules that fail the editor's checks are dropped and reported
+    async restoreSession(session) {
+        this.originalCodeEditor.value = session.original || '';
+        this.modifiedCodeEditor.value = session.modified || '';
+        this.baseCodeEditor.value = session.base || '';
+        SESSION_SWITCHES.forEach(key => {
+            if (session.switches && key in session.switches) this[key].checked = session.switches[key];
+        });
+        SESSION_VALUES.forEach(key => {
+            if (session.values && key in session.values) this[key].value = session.values[key];
+        });
+        const problems = [];
+        let rules = session.rules === undefined ? [] : session.rules;
+        if (!Array.isArray(rules)) {
+            problems.push('The rule list is malformed');
+            rules = [];
+        }
+        this.customRules = rules.filter(rule => {
+            const error = this.ruleError(rule);
+            if (error) problems.push(error);
+            return !error;
+        });
+        this.renderRuleList();
+        this.switchMode(session.mode || 'side-by-side');
+
+        if (problems.length > 0) {
+            alert(`⚠️ Skipped invalid normalization rules:\n${problems.map(problem => `   ${problem}`).join('\n')}`);
+        }
+
+        if ([session.original, session.modified, session.base].some(text => text && text.trim())) {
+            await this.compareCode();
+        }
+    }
+
+    async restoreFromUrl() {
+        if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+
+        try {
+            await this.restoreSession(await this.sessionCodec.decode(location.hash.slice(SHARE_HASH_PREFIX.length)));
+        } catch (error) {
+            alert(`⚠️ Could not open the shared diff: ${error.message}`);
+        }
+    }
+
+    async shareUrl() {
+        const encoded = await this.sessionCodec.encode(this.captureSession());
+        return location.href.split('#')[0] + SHARE_HASH_PREFIX + encoded;
+    }
+
+    async copyShareLink() {
+        let url;
+        try {
+            url = await this.shareUrl();
+        } catch (error) {
+            alert(`⚠️ Could not create a share link: ${error.message}`);
+            return;
+        }
+        if (url.length > SHARE_URL_MAX) {
+            alert(`⚠️ This link is ${url.length.toLocaleString()} characters long - some apps may cut it off`);
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('🔗 Share link copied to clipboard!');
+        } catch (error) {
+            prompt('Copy this share link:', url);
+        }
+    }
+
+    // Keep the address bar and the history in step with the latest comparison.
+    // Both are conveniences, so failures only disable them.
+    async rememberSession(stats) {
+        const session = this.captureSession();
+        try {
+            const url = await this.shareUrl();
+            if (url.length <= SHARE_URL_MAX) {
+                history.replaceState(null, '', url);
+            }
+        } catch (error) {
+            // Leave the address bar as it is; the Share button reports the error
+        }
+
+        try {
+            await this.historyStore.save(this.sessionName(session), session, stats);
+            this.renderHistory();
+        } catch (error) {
+            this.historyList.innerHTML = `<p class="history-empty">History unavailable: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    // Default history name: the open file, else the first non-blank line
+    sessionName(session) {
+        const file = this.currentDirectory && this.currentDirectory.files[this.currentFileIdx];
+        if (file) return file.path;
+
+        const line = (session.modified + '\n' + session.original).split('\n').find(text => text.trim());
+        return line ? line.trim().slice(0, 40) : 'Untitled comparison';
+    }
+
+    async renderHistory() {
+        let entries;
+        try {
+            entries = await this.historyStore.list();
+        } catch (error) {
+            this.historyList.innerHTML = `<p class="history-empty">History unavailable: ${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        if (entries.length === 0) {
+            this.historyList.innerHTML = '<p class="history-empty">No saved comparisons yet.</p>';
+            return;
+        }
+
+        this.historyList.innerHTML = entries.map(entry => {
+            const stats = entry.stats.conflicts !== undefined ?
+                `${entry.stats.conflicts} conflict${entry.stats.conflicts === 1 ? '' : 's'}` :
+                `+${entry.stats.additions} −${entry.stats.deletions}`;
+            return `<div class="history-item">
+                <div class="history-info">
+                    <span class="history-name">${this.escapeHtml(entry.name)}</span>
+                    <span class="history-meta">${new Date(entry.updatedAt).toLocaleString()} · ${stats}</span>
+                </div>
+                <div class="history-actions">
+                    <button class="btn-icon" data-action="open" data-id="${entry.id}" title="Open">📂</button>
+                    <button class="btn-icon" data-action="rename" data-id="${entry.id}" title="Rename">✏️</button>
+                    <button class="btn-icon" data-action="delete" data-id="${entry.id}" title="Delete">🗑️</button>
+                </div>
+            </div>`;
+        }).join('');
+    }
+
+    async openHistoryEntry(id) {
+        try {
+            const entry = await this.historyStore.get(id);
+            if (entry) {
+                await this.restoreSession(entry.session);
+            }
+        } catch (error) {
+            alert(`⚠️ Could not open the saved comparison: ${error.message}`);
+        }
+    }
+
+    async renameHistoryEntry(id) {
+        try {
+            const entry = await this.historyStore.get(id);
+            const name = entry && prompt('Rename comparison:', entry.name);
+            if (!name) return;
+
+            await this.historyStore.rename(id, name);
+            this.renderHistory();
+        } catch (error) {
+            alert(`⚠️ Could not rename the saved comparison: ${error.message}`);
+        }
+    }
+
+    async deleteHistoryEntry(id) {
+        try {
+            const entry = await this.historyStore.get(id);
+            if (!entry || !confirm(`Delete "${entry.name}" from history?`)) return;
+
+            await this.historyStore.remove(id);
+            this.renderHistory();
+        } catch (error) {
+            alert(`⚠️ Could not delete the saved comparison: ${error.message}`);
+        }
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -608,9 +4916,32 @@ class DiffVisualizerUI {
 
 let app;
 
-document.addEventListener('DOMContentLoaded', () => {
-    app = new DiffVisualizerUI();
-    console.log('🚀 Code Diff Visualizer loaded!');
-    console.log('💡 Try loading a Quick Example to see how it works!');
-});
+// The diff worker loads this same file, so remember where it came from
+const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ?
+    document.currentScript.src : 'script.js';
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        app = new DiffVisualizerUI();
+        console.log('🚀 Code Diff Visualizer loaded!');
+        console.log('💡 Try loading a Quick Example to see how it works!');
+    });
+} else if (typeof importScripts === 'function') {
+    // Running as the diff worker
+    new DiffWorkerHost(self);
+} else if (typeof module !== 'undefined' && module.exports) {
+    // Loaded by Node: expose the engine (engine.mjs re-exports it as an ES module)
+    module.exports = {
+        LCSAlgorithm,
+        MyersDiff,
+        SequenceMetrics,
+        SyntaxTokenizer,
+        LineNormalizer,
+        DiffGenerator,
+        UnifiedPatch,
+        YAMLParser,
+        StructuralDiff,
+        ThreeWayMerge
+    };
+}
 
@@ -0,0 +1,124 @@
+// bin/diff.mjs end to end: output formats, ignore options and exit status
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/diff.mjs', import.meta.url));
+let dir;
+
+function file(name, text) {
+    const path = join(dir, name);
+    writeFileSync(path, text);
+    return path;
+}
+
+function run(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'diff-cli-'));
+});
+
+after(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('same files exit 0 and print nothing', () => {
+    const a = file('same-a.txt', 'one\ntwo\n');
+    const b = file('same-b.txt', 'one\ntwo\n');
+
+    assert.deepEqual(run(a, b), { status: 0, stdout: '', stderr: '' });
+});
+
+test('different files print a unified diff and exit 1', () => {
+    const a = file('diff-a.txt', 'one\ntwo\nthree\n');
+    const b = file('diff-b.txt', 'one\n2\nthree\n');
+    const result = run('-U', '1', a, b);
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, `--- a/${a}\n+++ b/${b}\n@@ -1,3 +1,3 @@\n one\n-two\n+2\n three\n`);
+});
+
+test('--color always wraps changed lines in escape codes', () => {
+    const a = file('color-a.txt', 'one\n');
+    const b = file('color-b.txt', 'two\n');
+    const { stdout } = run('--color', 'always', a, b);
+
+    assert.match(stdout, /\x1b\[31m-one\x1b\[0m/);
+    assert.match(stdout, /\x1b\[32m\+two\x1b\[0m/);
+});
+
+test('-q only sets the exit status', () => {
+    const a = file('quiet-a.txt', 'one\n');
+    const b = file('quiet-b.txt', 'two\n');
+
+    assert.deepEqual(run('-q', a, b), { status: 1, stdout: '', stderr: '' });
+});
+
+test('--json reports hunks and a missing final newline', () => {
+    const a = file('json-a.txt', 'one\ntwo\n');
+    const b = file('json-b.txt', 'one\ntwo');
+    const result = run('--json', a, b);
+    const json = JSON.parse(result.stdout);
+
+    assert.equal(result.status, 1);
+    assert.equal(json.differs, true);
+    assert.equal(json.hunks.length, 1);
+    assert.deepEqual(json.hunks[0].lines.slice(1), [
+        { type: 'deletion', content: 'two', oldLine: 2, newLine: null },
+        { type: 'addition', content: 'two', oldLine: null, newLine: 2, noNewlineAtEnd: true }
+    ]);
+});
+
+test('ignore options make whitespace and matching lines count as the same', () => {
+    const a = file('ignore-a.txt', 'let x = 1;\r\n// built 2024-01-01\r\n');
+    const b = file('ignore-b.txt', 'let  x=1;\n// built 2025-06-30\n');
+
+    assert.equal(run('-q', a, b).status, 1);
+    assert.equal(run('-q', '-w', '--strip-trailing-cr', a, b).status, 1);
+    assert.equal(run('-q', '-w', '--strip-trailing-cr', '-I', '^// built', a, b).status, 0);
+
+    const json = JSON.parse(run('--json', '-w', '--strip-trailing-cr', '-I', '^// built', a, b).stdout);
+    assert.equal(json.differs, false);
+    assert.deepEqual(json.hunks, []);
+});
+
+test('a line ignored on one side is shown but does not differ', () => {
+    const a = file('one-side-a.txt', 'one\ntwo\n');
+    const b = file('one-side-b.txt', 'one\n// TODO\ntwo\n');
+    const result = run('--json', '-I', 'TODO', a, b);
+    const json = JSON.parse(result.stdout);
+
+    assert.equal(result.status, 0);
+    assert.equal(json.differs, false);
+    assert.deepEqual(json.hunks[0].lines[1],
+        { type: 'addition', content: '// TODO', oldLine: null, newLine: 2, ignored: true });
+});
+
+test('errors exit 2 with a message', () => {
+    const a = file('error-a.txt', 'one\n');
+
+    const missing = run(a, join(dir, 'missing.txt'));
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /^diff\.mjs: ENOENT/);
+
+    const badContext = run('-U', 'x', a, a);
+    assert.equal(badContext.status, 2);
+    assert.match(badContext.stderr, /invalid context length "x"/);
+
+    assert.equal(run(a).status, 2);
+    assert.equal(run('--algorithm', 'fast', a, a).status, 2);
+});
+
+test('--help prints usage and exits 0', () => {
+    const result = run('--help');
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^Usage: diff\.mjs/);
+});
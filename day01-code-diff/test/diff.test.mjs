@@ -0,0 +1,169 @@
+// Regression cases for DiffGenerator line alignment. Run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDiffGenerator, diffText, createPatch, UnifiedPatch } from '../engine.mjs';
+
+const ENGINES = ['lcs', 'myers'];
+
+// Length of the longest common subsequence, straight from the textbook table
+function lcsLength(a, b) {
+    let row = new Array(b.length + 1).fill(0);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [0];
+        for (let j = 1; j <= b.length; j++) {
+            next[j] = a[i - 1] === b[j - 1] ? row[j - 1] + 1 : Math.max(row[j], next[j - 1]);
+        }
+        row = next;
+    }
+    return row[b.length];
+}
+
+// The unified rows must rebuild both files, number them 1..n, and use no
+// more additions and deletions than a minimal edit script needs
+function assertEditScript(diff, originalLines, modifiedLines) {
+    const unified = diff.unified;
+    assert.deepEqual(unified.filter(d => d.type !== 'addition').map(d => d.content), originalLines);
+    assert.deepEqual(unified.filter(d => d.type !== 'deletion').map(d => d.content), modifiedLines);
+
+    const origNums = unified.filter(d => d.origLineNum !== null).map(d => d.origLineNum);
+    const modNums = unified.filter(d => d.modLineNum !== null).map(d => d.modLineNum);
+    assert.deepEqual(origNums, originalLines.map((_, i) => i + 1));
+    assert.deepEqual(modNums, modifiedLines.map((_, i) => i + 1));
+
+    const edits = unified.filter(d => d.type !== 'unchanged').length;
+    assert.equal(edits, originalLines.length + modifiedLines.length - 2 * lcsLength(originalLines, modifiedLines));
+
+    assert.equal(diff.original.length, unified.length);
+    assert.equal(diff.modified.length, unified.length);
+}
+
+function script(diff) {
+    const marks = { unchanged: ' ', addition: '+', deletion: '-' };
+    return diff.unified.map(d => marks[d.type] + d.content);
+}
+
+for (const algorithm of ENGINES) {
+    test(`${algorithm}: repeated closing braces are matched in place`, () => {
+        const original = 'function a() {\n    if (x) {\n        run();\n    }\n}\n\nfunction b() {\n}';
+        const modified = 'function a() {\n    if (x) {\n        run();\n    }\n    done();\n}\n\nfunction b() {\n}';
+        const diff = diffText(original, modified, { algorithm });
+
+        assertEditScript(diff, original.split('\n'), modified.split('\n'));
+        assert.deepEqual(diff.unified.filter(d => d.type !== 'unchanged').map(d => d.content), ['    done();']);
+        assert.equal(diff.stats.additions, 1);
+        assert.equal(diff.stats.deletions, 0);
+    });
+
+    test(`${algorithm}: blank lines do not pair with the wrong blank line`, () => {
+        const original = 'a\n\nb\n\nc\n\n';
+        const modified = 'a\n\n\nb\nc\n\n';
+        const diff = diffText(original, modified, { algorithm });
+
+        assertEditScript(diff, original.split('\n'), modified.split('\n'));
+    });
+
+    test(`${algorithm}: a file made only of repeated lines`, () => {
+        const original = '}\n}\n}\n}';
+        const modified = '}\n}';
+        const diff = diffText(original, modified, { algorithm });
+
+        assertEditScript(diff, original.split('\n'), modified.split('\n'));
+        assert.equal(diff.stats.deletions, 2);
+        assert.equal(diff.stats.additions, 0);
+    });
+
+    test(`${algorithm}: a block moved below its neighbour`, () => {
+        const block = ['function helper(value) {', '    const doubled = value * 2;', '    return doubled;', '}'];
+        const rest = ['function main() {', '    console.log(helper(21));', '}'];
+        const originalLines = [...block, '', ...rest];
+        const modifiedLines = [...rest, '', ...block];
+        const diff = diffText(originalLines.join('\n'), modifiedLines.join('\n'), { algorithm });
+
+        assertEditScript(diff, originalLines, modifiedLines);
+        // The larger block stays put and the smaller one is reported as moved
+        assert.equal(diff.moves.length, 1);
+        assert.deepEqual(diff.moves[0].from, { start: 6, end: 7 });
+        assert.deepEqual(diff.moves[0].to, { start: 1, end: 2 });
+    });
+
+    test(`${algorithm}: missing final newline on the modified side`, () => {
+        const diff = diffText('a\nb\n', 'a\nb', { algorithm });
+
+        assert.deepEqual(script(diff), [' a', ' b', '-']);
+        assertEditScript(diff, ['a', 'b', ''], ['a', 'b']);
+    });
+
+    test(`${algorithm}: missing final newline on the original side`, () => {
+        const diff = diffText('a\nb', 'a\nb\n', { algorithm });
+
+        assert.deepEqual(script(diff), [' a', ' b', '+']);
+        assertEditScript(diff, ['a', 'b'], ['a', 'b', '']);
+    });
+
+    test(`${algorithm}: file lines only differ in the final newline`, () => {
+        const generator = createDiffGenerator({ algorithm });
+        const patch = new UnifiedPatch(generator);
+
+        const dropped = generator.diffLines(patch.splitFile('a\nb\n'), patch.splitFile('a\nb'));
+        assert.deepEqual(dropped.unified.map(d => d.type), ['unchanged', 'deletion', 'addition']);
+
+        const added = generator.diffLines(patch.splitFile('a\nb'), patch.splitFile('a\nb\n'));
+        assert.deepEqual(added.unified.map(d => d.type), ['unchanged', 'deletion', 'addition']);
+    });
+}
+
+test('patch marks the side that lacks the final newline', () => {
+    assert.equal(createPatch('a\nb\n', 'a\nb', { contextLines: 1 }),
+        '--- a/original\n+++ b/modified\n@@ -1,2 +1,2 @@\n a\n-b\n+b\n\\ No newline at end of file\n');
+    assert.equal(createPatch('a\nb', 'a\nb\n', { contextLines: 1 }),
+        '--- a/original\n+++ b/modified\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n');
+});
+
+test('distance defaults to the line diff LCS figures', () => {
+    const diff = diffText('a\nb\nc', 'a\nx\nc');
+
+    assert.equal(diff.stats.metric, 'lcs');
+    assert.equal(diff.stats.editDistance, 2);
+    assert.equal(diff.stats.similarity, '66.7');
+});
+
+test('a metric too large to measure falls back to LCS instead of no figures', () => {
+    const original = Array.from({ length: 3200 }, (_, i) => `line ${i}`);
+    const modified = original.map((line, i) => (i % 100 === 0 ? `${line} changed` : line));
+    const diff = diffText(original.join('\n'), modified.join('\n'), { metric: 'damerau' });
+
+    assert.equal(diff.stats.metric, 'lcs');
+    assert.equal(diff.stats.metricFallback, true);
+    assert.equal(diff.stats.editDistance, 64);
+    assert.equal(diff.stats.similarity, '99.0');
+});
+
+test('applying a hunk keeps the target text of lines an ignore option matched', () => {
+    const original = ['top', 'old one', 'Keep This Line', 'old two', 'bottom'];
+    const modified = ['top', 'new one', 'keep this line', 'new two', 'bottom'];
+    const generator = createDiffGenerator({ ignoreCase: true, contextLines: 1 });
+    const diff = generator.diffLines(original, modified);
+    assert.equal(diff.hunks.length, 1);
+
+    const applied = generator.transferHunk(diff.unified, diff.hunks[0], 'apply', original, modified);
+    assert.deepEqual(applied.original, ['top', 'new one', 'Keep This Line', 'new two', 'bottom']);
+    assert.deepEqual(applied.modified, modified);
+
+    const reverted = generator.transferHunk(diff.unified, diff.hunks[0], 'revert', original, modified);
+    assert.deepEqual(reverted.modified, ['top', 'old one', 'keep this line', 'old two', 'bottom']);
+    assert.deepEqual(reverted.original, original);
+});
+
+test('transferring one hunk leaves the others alone', () => {
+    const original = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'];
+    const modified = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h2', 'h', 'i'];
+    const generator = createDiffGenerator({ ignoreWhitespace: true, contextLines: 1 });
+    const diff = generator.diffLines(original, modified);
+    assert.equal(diff.hunks.length, 2);
+
+    const applied = generator.transferHunk(diff.unified, diff.hunks[1], 'apply', original, modified);
+    assert.deepEqual(applied.original, ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h2', 'h', 'i']);
+
+    const reverted = generator.transferHunk(diff.unified, diff.hunks[0], 'revert', original, modified);
+    assert.deepEqual(reverted.modified, ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h2', 'h', 'i']);
+});
@@ -0,0 +1,269 @@
+// Engine properties checked on many generated inputs. Run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LCSAlgorithm, MyersDiff, ThreeWayMerge, StructuralDiff, diffText, createPatch, createDiffGenerator, UnifiedPatch
+} from '../engine.mjs';
+
+// Small deterministic generator, so a failure can be replayed
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Lines drawn from a tiny alphabet, so there are plenty of repeats to trip over
+function randomLines(next, maxLength) {
+    const alphabet = ['a', 'b', 'c', '}', ''];
+    return Array.from({ length: Math.floor(next() * (maxLength + 1)) },
+        () => alphabet[Math.floor(next() * alphabet.length)]);
+}
+
+function assertCommonSubsequence(lcs, a, b) {
+    lcs.forEach((pair, idx) => {
+        assert.equal(a[pair.i], b[pair.j]);
+        if (idx > 0) {
+            assert.ok(pair.i > lcs[idx - 1].i && pair.j > lcs[idx - 1].j);
+        }
+    });
+}
+
+test('Myers finds a common subsequence as long as the LCS table', () => {
+    const next = random(1);
+    for (let round = 0; round < 300; round++) {
+        const a = randomLines(next, 30);
+        const b = randomLines(next, 30);
+        const table = new LCSAlgorithm().computeLCS(a, b);
+        const myers = new MyersDiff().computeLCS(a, b);
+
+        assertCommonSubsequence(table.lcs, a, b);
+        assertCommonSubsequence(myers.lcs, a, b);
+        assert.equal(myers.lcs.length, table.lcs.length, `round ${round}`);
+    }
+});
+
+test('both engines give the same statistics through DiffGenerator', () => {
+    const next = random(2);
+    for (let round = 0; round < 100; round++) {
+        const original = randomLines(next, 40).join('\n');
+        const modified = randomLines(next, 40).join('\n');
+        const byTable = diffText(original, modified, { algorithm: 'lcs', detectMoves: false });
+        const byMyers = diffText(original, modified, { algorithm: 'myers', detectMoves: false });
+
+        assert.equal(byTable.lcsResult.algorithm, 'lcs');
+        assert.equal(byMyers.lcsResult.algorithm, 'myers');
+        assert.equal(byMyers.stats.additions, byTable.stats.additions);
+        assert.equal(byMyers.stats.deletions, byTable.stats.deletions);
+        assert.equal(byMyers.stats.similarity, byTable.stats.similarity);
+    }
+});
+
+test('auto picks Myers once the input is too large for a drawable table', () => {
+    assert.equal(diffText('a\nb', 'a\nc').lcsResult.algorithm, 'lcs');
+
+    const lines = Array.from({ length: 2000 }, (_, i) => `line ${i}`);
+    const diff = diffText(lines.join('\n'), lines.slice(1).join('\n'));
+    assert.equal(diff.lcsResult.algorithm, 'myers');
+    assert.equal(diff.stats.deletions, 1);
+});
+
+// File text with or without a final newline
+function randomFile(next, maxLength) {
+    const lines = randomLines(next, maxLength);
+    if (lines.length === 0) return '';
+    return lines.join('\n') + (next() < 0.5 ? '\n' : '');
+}
+
+test('a created patch applies back to the modified text', () => {
+    const next = random(3);
+    const unifiedPatch = new UnifiedPatch(createDiffGenerator());
+    for (let round = 0; round < 200; round++) {
+        const original = randomFile(next, 25);
+        const modified = randomFile(next, 25);
+        const contextLines = Math.floor(next() * 4);
+        const patchText = createPatch(original, modified, { contextLines });
+
+        if (original === modified) {
+            assert.equal(patchText, '');
+            continue;
+        }
+        const result = unifiedPatch.applyPatch(original, unifiedPatch.parsePatch(patchText));
+        assert.equal(result.text, modified, `round ${round}: ${JSON.stringify({ original, modified, contextLines })}`);
+        assert.equal(result.rejected.length, 0);
+    }
+});
+
+test('ignore options and rules do not leak into created patches', () => {
+    const unifiedPatch = new UnifiedPatch(createDiffGenerator());
+    const options = {
+        ignoreWhitespace: true,
+        ignoreCase: true,
+        rules: [{ type: 'ignoreAllWhitespace' }, { type: 'ignoreMatching', pattern: '^#' }]
+    };
+    const cases = [
+        ['a\nb\n', 'a\n  B\n'],
+        ['# v1\nx = 1\ny = 2\n', '# v2\nX  =  1\ny = 3\n']
+    ];
+
+    for (const [original, modified] of cases) {
+        const patchText = createPatch(original, modified, { ...options, contextLines: 1 });
+        assert.notEqual(patchText, '');
+        assert.equal(unifiedPatch.applyPatch(original, unifiedPatch.parsePatch(patchText)).text, modified);
+    }
+});
+
+test('a patch still applies after lines were added above its hunks', () => {
+    const unifiedPatch = new UnifiedPatch(createDiffGenerator());
+    const original = 'one\ntwo\nthree\nfour\nfive\n';
+    const patch = unifiedPatch.parsePatch(createPatch(original, 'one\ntwo\n3\nfour\nfive\n', { contextLines: 1 }));
+
+    const result = unifiedPatch.applyPatch('zero\nzero\n' + original, patch);
+    assert.equal(result.text, 'zero\nzero\none\ntwo\n3\nfour\nfive\n');
+    assert.deepEqual(result.applied.map(item => item.offset), [2]);
+});
+
+test('a hunk whose context is gone is rejected and the rest applied', () => {
+    const unifiedPatch = new UnifiedPatch(createDiffGenerator());
+    const original = 'a\nb\nc\nd\ne\nf\ng\nh\ni\n';
+    const modified = 'a\nB\nc\nd\ne\nf\ng\nH\ni\n';
+    const patch = unifiedPatch.parsePatch(createPatch(original, modified, { contextLines: 1 }));
+    assert.equal(patch.hunks.length, 2);
+
+    const result = unifiedPatch.applyPatch(original.replace('g\n', 'G\n'), patch);
+    assert.equal(result.text, 'a\nB\nc\nd\ne\nf\nG\nh\ni\n');
+    assert.equal(result.rejected.length, 1);
+    assert.throws(() => unifiedPatch.parsePatch('not a patch'), /No hunks found/);
+});
+
+test('a merge where only one side changed is that side', () => {
+    const next = random(4);
+    const merger = new ThreeWayMerge(createDiffGenerator());
+    for (let round = 0; round < 100; round++) {
+        const base = randomLines(next, 20).join('\n');
+        const edited = randomLines(next, 20).join('\n');
+
+        const oursOnly = merger.merge(base, edited, base);
+        assert.equal(oursOnly.conflicts, 0);
+        assert.equal(merger.toText(oursOnly), edited);
+
+        const theirsOnly = merger.merge(base, base, edited);
+        assert.equal(theirsOnly.conflicts, 0);
+        assert.equal(merger.toText(theirsOnly), edited);
+
+        assert.equal(merger.toText(merger.merge(base, edited, edited)), edited);
+    }
+});
+
+test('edits to different lines merge without conflicts', () => {
+    const merger = new ThreeWayMerge(createDiffGenerator());
+    const result = merger.merge('a\nb\nc\nd\ne', 'A\nb\nc\nd\ne', 'a\nb\nc\nd\nE');
+
+    assert.equal(result.conflicts, 0);
+    assert.deepEqual(result.chunks.map(chunk => chunk.type), ['ours', 'stable', 'theirs']);
+    assert.equal(merger.toText(result), 'A\nb\nc\nd\nE');
+});
+
+test('different edits to the same lines conflict until resolved', () => {
+    const merger = new ThreeWayMerge(createDiffGenerator());
+    const result = merger.merge('a\nb\nc', 'a\nours\nc', 'a\ntheirs\nc');
+    const conflict = result.chunks.find(chunk => chunk.type === 'conflict');
+
+    assert.equal(result.conflicts, 1);
+    assert.deepEqual(conflict.base, ['b']);
+    assert.equal(merger.toText(result), 'a\n<<<<<<< ours\nours\n=======\ntheirs\n>>>>>>> theirs\nc');
+
+    conflict.resolution = 'theirs';
+    assert.equal(merger.toText(result), 'a\ntheirs\nc');
+    conflict.resolution = 'both';
+    assert.equal(merger.toText(result), 'a\nours\ntheirs\nc');
+});
+
+// JSON values with shared pieces, so arrays have elements to match up
+function randomValue(next, depth) {
+    const pick = items => items[Math.floor(next() * items.length)];
+    const roll = next();
+    if (depth === 0 || roll < 0.3) return pick([1, 2, 'x', 'y', true, null]);
+    if (roll < 0.65) {
+        return Array.from({ length: Math.floor(next() * 5) }, () => randomValue(next, depth - 1));
+    }
+    const value = {};
+    ['a', 'b', 'c/d', 'e~f'].forEach(key => {
+        if (next() < 0.6) value[key] = randomValue(next, depth - 1);
+    });
+    return value;
+}
+
+// Just enough RFC 6902 to replay add, remove and replace
+function applyJSONPatch(document, ops) {
+    let root = structuredClone(document);
+    ops.forEach(({ op, path, value }) => {
+        if (path === '') {
+            root = structuredClone(value);
+            return;
+        }
+        const keys = path.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => node[key], root);
+        if (Array.isArray(parent)) {
+            const index = Number(last);
+            if (op === 'add') parent.splice(index, 0, structuredClone(value));
+            if (op === 'remove') parent.splice(index, 1);
+            if (op === 'replace') parent[index] = structuredClone(value);
+        } else if (op === 'remove') {
+            delete parent[last];
+        } else {
+            Object.defineProperty(parent, last,
+                { value: structuredClone(value), enumerable: true, writable: true, configurable: true });
+        }
+    });
+    return root;
+}
+
+test('the JSON Patch turns the original document into the modified one', () => {
+    const next = random(5);
+    const structural = new StructuralDiff(new LCSAlgorithm());
+    for (let round = 0; round < 200; round++) {
+        const original = { root: randomValue(next, 3) };
+        const modified = { root: randomValue(next, 3) };
+        const { patch } = structural.compare(JSON.stringify(original), JSON.stringify(modified));
+
+        assert.deepEqual(applyJSONPatch(original, patch), modified, `round ${round}`);
+    }
+});
+
+test('JSON Patch paths escape ~ and / in keys', () => {
+    const structural = new StructuralDiff(new LCSAlgorithm());
+    const { patch } = structural.compare('{"a/b": 1, "c~d": [1, 2]}', '{"a/b": 2, "c~d": [1, 3, 2]}');
+
+    assert.deepEqual(patch, [
+        { op: 'replace', path: '/a~1b', value: 2 },
+        { op: 'add', path: '/c~0d/1', value: 3 }
+    ]);
+});
+
+test('keys named like Object.prototype members are ordinary keys', () => {
+    const structural = new StructuralDiff(new LCSAlgorithm());
+    const original = '{"toString": 1, "__proto__": {"a": 1}, "keep": true}';
+    const modified = '{"constructor": "x", "__proto__": {"a": 2}, "keep": true}';
+    const result = structural.compare(original, modified);
+
+    assert.deepEqual(result.patch, [
+        { op: 'remove', path: '/toString' },
+        { op: 'replace', path: '/__proto__/a', value: 2 },
+        { op: 'add', path: '/constructor', value: 'x' }
+    ]);
+    assert.deepEqual(applyJSONPatch(JSON.parse(original), result.patch), JSON.parse(modified));
+    assert.deepEqual(result.changes.map(change => change.path), ['$.toString', '$.__proto__.a', '$.constructor']);
+});
+
+test('a YAML __proto__ key is kept as a key', () => {
+    const structural = new StructuralDiff(new LCSAlgorithm());
+    const result = structural.compare('__proto__:\n  a: 1\nflow: {__proto__: 1}\n', '__proto__:\n  a: 2\nflow: {__proto__: 1}\n');
+
+    assert.equal(result.format, 'yaml');
+    assert.ok(Object.hasOwn(structural.parse('__proto__: 1').value, '__proto__'));
+    assert.ok(Object.hasOwn(structural.parse('x: {__proto__: 1}').value.x, '__proto__'));
+    assert.deepEqual(result.patch, [{ op: 'replace', path: '/__proto__/a', value: 2 }]);
+});
@@ -0,0 +1,130 @@
+// ===================================
+// Top-K Benchmark
+// ===================================
+
+const SYLLABLES = ['al', 'an', 'ar', 'be', 'ca', 'co', 'de', 'di', 'en', 'er', 'fo', 'ga',
+    'in', 'ka', 'la', 'li', 'ma', 'mo', 'ne', 'no', 'or', 'pa', 'pro', 're', 'ri', 'sa',
+    'se', 'st', 'ta', 'te', 'ti', 'to', 'tra', 'un', 'va', 'ver', 'xi', 'zo'];
+
+const BENCHMARK_PREFIXES = ['a', 's', 't', 'co', 'ma', 'pro', 'tra', 'reca', 'stal'];
+
+class TrieBenchmark {
+    constructor() {
+        this.dictionarySize = document.getElementById('dictionarySize');
+        this.resultLimit = document.getElementById('resultLimit');
+        this.runBtn = document.getElementById('runBenchmarkBtn');
+        this.status = document.getElementById('benchmarkStatus');
+        this.buildTimeDisplay = document.getElementById('buildTime');
+        this.wordCountDisplay = document.getElementById('benchWords');
+        this.nodeCountDisplay = document.getElementById('benchNodes');
+        this.speedupDisplay = document.getElementById('overallSpeedup');
+        this.resultsTable = document.getElementById('benchmarkResults');
+
+        this.runBtn.addEventListener('click', () => this.run());
+    }
+
+    // Seeded generator (mulberry32) so every run builds the same dictionary
+    random(seed) {
+        return () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Pseudo-words of 2-5 syllables with a long-tailed frequency distribution
+    buildTrie(size) {
+        const random = this.random(42);
+        const trie = new Trie();
+        while (trie.wordCount < size) {
+            const syllableCount = 2 + Math.floor(random() * 4);
+            let word = '';
+            for (let i = 0; i < syllableCount; i++) {
+                word += SYLLABLES[Math.floor(random() * SYLLABLES.length)];
+            }
+            trie.insert(word, 1 + Math.floor(100000 * Math.pow(random(), 4)));
+        }
+        return trie;
+    }
+
+    // Average time per call over enough repetitions to fill ~50ms
+    time(fn) {
+        let repetitions = 0;
+        const start = performance.now();
+        let elapsed = 0;
+        do {
+            fn();
+            repetitions++;
+            elapsed = performance.now() - start;
+        } while (elapsed < 50);
+        return elapsed / repetitions;
+    }
+
+    // Yield so the status text repaints between phases
+    nextFrame() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    async run() {
+        const size = parseInt(this.dictionarySize.value);
+        const k = parseInt(this.resultLimit.value);
+        this.runBtn.disabled = true;
+        this.resultsTable.innerHTML = '';
+
+        try {
+            this.status.textContent = `Building a ${size.toLocaleString()}-word trie...`;
+            await this.nextFrame();
+
+            const buildStart = performance.now();
+            const trie = this.buildTrie(size);
+            this.buildTimeDisplay.textContent = (performance.now() - buildStart).toFixed(0) + 'ms';
+            this.wordCountDisplay.textContent = trie.wordCount.toLocaleString();
+            this.nodeCountDisplay.textContent = trie.nodeCount.toLocaleString();
+
+            let totalFull = 0;
+            let totalTopK = 0;
+            for (const prefix of BENCHMARK_PREFIXES) {
+                this.status.textContent = `Searching "${prefix}"...`;
+                await this.nextFrame();
+
+                // Previous approach: collect the whole subtree, sort, slice
+                const fullSearch = () => trie.search(prefix)
+                    .sort((a, b) => b.frequency - a.frequency)
+                    .slice(0, k);
+                const topKSearch = () => trie.search(prefix, k);
+
+                const matches = trie.search(prefix).length;
+                const same = fullSearch().map(r => r.frequency).join() ===
+                    topKSearch().map(r => r.frequency).join();
+                const fullTime = this.time(fullSearch);
+                const topKTime = this.time(topKSearch);
+                totalFull += fullTime;
+                totalTopK += topKTime;
+
+                this.resultsTable.insertAdjacentHTML('beforeend', `
+                    <tr>
+                        <td><code>${prefix}</code></td>
+                        <td>${matches.toLocaleString()}</td>
+                        <td>${fullTime.toFixed(3)}ms</td>
+                        <td class="winner">${topKTime.toFixed(3)}ms</td>
+                        <td>${(fullTime / topKTime).toFixed(1)}×</td>
+                        <td>${same ? '✅' : '❌'}</td>
+                    </tr>
+                `);
+            }
+
+            this.speedupDisplay.textContent = (totalFull / totalTopK).toFixed(1) + '×';
+            this.status.textContent = `Done: top ${k} of ${size.toLocaleString()} words.`;
+        } catch (error) {
+            this.status.textContent = '';
+            alert('⚠️ Benchmark failed: ' + error.message);
+        } finally {
+            this.runBtn.disabled = false;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new TrieBenchmark();
+});
@@ -2,6 +2,14 @@
 // Trie Data Structure
 // ===================================
 
+// Rough per-object sizes for memory estimates, modelled on a 64-bit V8 heap.
+// One-character strings are shared by the engine, so trie nodes pay nothing
+// for their character; radix edge labels and stored words are real strings.
+const MEMORY_NODE_BYTES = 56;
+const MEMORY_MAP_BYTES = 80;
+const MEMORY_MAP_ENTRY_BYTES = 24;
+const MEMORY_STRING_BYTES = 16; // Header; one byte per character on top
+
 class TrieNode {
     constructor(char = '') {
         this.char = char;
@@ -9,108 +17,1328 @@ class TrieNode {
         this.isEndOfWord = false;
         this.frequency = 0;
         this.word = '';
+        this.maxFrequency = 0; // Highest frequency of any word in this subtree
+    }
+}
+
+// Binary max-heap on `priority`, used for best-first trie traversal
+class MaxHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].priority >= item.priority) break;
+            items[index] = items[parent];
+            index = parent;
+        }
+        items[index] = item;
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            let index = 0;
+            while (true) {
+                let child = index * 2 + 1;
+                if (child >= items.length) break;
+                if (child + 1 < items.length && items[child + 1].priority > items[child].priority) child++;
+                if (items[child].priority <= last.priority) break;
+                items[index] = items[child];
+                index = child;
+            }
+            items[index] = last;
+        }
+        return top;
+    }
+}
+
+class Trie {
+    constructor() {
+        this.root = new TrieNode();
+        this.wordCount = 0;
+        this.nodeCount = 1; // Root node
+    }
+
+    insert(word, frequency = 1) {
+        if (!word || word.trim() === '') return false;
+
+        let node = this.root;
+        const processedWord = word.trim();
+        const path = [node];
+
+        for (const char of processedWord) {
+            if (!node.children.has(char)) {
+                node.children.set(char, new TrieNode(char));
+                this.nodeCount++;
+            }
+            node = node.children.get(char);
+            path.push(node);
+        }
+
+        this.markWord(path, processedWord, frequency);
+        return true;
+    }
+
+    // Mark the last node on path as the end of word and add to its frequency
+    markWord(path, word, frequency) {
+        const node = path[path.length - 1];
+        if (!node.isEndOfWord) {
+            this.wordCount++;
+        }
+
+        node.isEndOfWord = true;
+        node.frequency += frequency;
+        node.word = word;
+
+        // Frequencies only grow here, so the subtree maximum can be raised in place
+        for (const pathNode of path) {
+            pathNode.maxFrequency = Math.max(pathNode.maxFrequency, node.frequency);
+        }
+    }
+
+    // Nodes from the root to the end of word, or null if the path is missing
+    findPath(word) {
+        if (!word || word.trim() === '') return null;
+
+        let node = this.root;
+        const path = [node];
+        for (const char of word.trim()) {
+            node = node.children.get(char);
+            if (!node) return null;
+            path.push(node);
+        }
+        return path;
+    }
+
+    delete(word) {
+        const path = this.findPath(word);
+        if (!path || !path[path.length - 1].isEndOfWord) return false;
+
+        const node = path[path.length - 1];
+        node.isEndOfWord = false;
+        node.frequency = 0;
+        node.word = '';
+        this.wordCount--;
+
+        // Prune the branch back to the last node that still leads to a word
+        for (let i = path.length - 1; i > 0; i--) {
+            const pathNode = path[i];
+            if (pathNode.isEndOfWord || pathNode.children.size > 0) break;
+            path[i - 1].children.delete(pathNode.char);
+            this.nodeCount--;
+        }
+
+        this.updateMaxFrequency(path);
+        return true;
+    }
+
+    setFrequency(word, frequency) {
+        const path = this.findPath(word);
+        if (!path || !path[path.length - 1].isEndOfWord) return false;
+        if (!Number.isInteger(frequency) || frequency < 1) return false;
+
+        path[path.length - 1].frequency = frequency;
+        this.updateMaxFrequency(path);
+        return true;
+    }
+
+    incrementFrequency(word, amount = 1) {
+        return this.setFrequency(word, this.getFrequency(word) + amount);
+    }
+
+    // 0 when the word is not in the trie
+    getFrequency(word) {
+        const path = this.findPath(word);
+        return path ? path[path.length - 1].frequency : 0;
+    }
+
+    // Recompute subtree maxima bottom-up after a frequency went down
+    updateMaxFrequency(path) {
+        for (let i = path.length - 1; i >= 0; i--) {
+            const node = path[i];
+            let max = node.isEndOfWord ? node.frequency : 0;
+            for (const child of node.children.values()) {
+                max = Math.max(max, child.maxFrequency);
+            }
+            node.maxFrequency = max;
+        }
+    }
+
+    // With a limit k, returns the k most frequent words with this prefix
+    // (most frequent first) without visiting the rest of the subtree, or the
+    // first k in trie order when not ranked. Without one, returns every match.
+    search(prefix, k = Infinity, ranked = true) {
+        if (!prefix || prefix.trim() === '') return [];
+
+        const node = this.prefixNode(prefix.trim());
+        if (!node) return [];
+
+        if (k !== Infinity && ranked) {
+            return this.topK(node, k);
+        }
+
+        // Collect words with this prefix
+        const results = [];
+        this.dfs(node, results, k);
+
+        return results;
+    }
+
+    // The node whose subtree holds exactly the words starting with prefix
+    prefixNode(prefix) {
+        let node = this.root;
+        for (const char of prefix) {
+            if (!node.children.has(char)) {
+                return null;
+            }
+            node = node.children.get(char);
+        }
+        return node;
+    }
+
+    // Best-first walk ordered by each subtree's highest frequency. A word is
+    // only popped once nothing left in the heap can beat it, so the first k
+    // words popped are the top k, and only the branches leading to them (plus
+    // their siblings) are ever expanded.
+    topK(node, k) {
+        const results = [];
+        const heap = new MaxHeap();
+        heap.push({ priority: node.maxFrequency, node: node, isWord: false });
+
+        while (heap.size > 0 && results.length < k) {
+            const item = heap.pop();
+            if (item.isWord) {
+                results.push({
+                    word: item.node.word,
+                    frequency: item.node.frequency
+                });
+                continue;
+            }
+
+            if (item.node.isEndOfWord) {
+                heap.push({ priority: item.node.frequency, node: item.node, isWord: true });
+            }
+            for (const child of item.node.children.values()) {
+                heap.push({ priority: child.maxFrequency, node: child, isWord: false });
+            }
+        }
+
+        return results;
+    }
+
+    dfs(node, results, limit = Infinity) {
+        if (results.length >= limit) return;
+
+        if (node.isEndOfWord) {
+            results.push({
+                word: node.word,
+                frequency: node.frequency
+            });
+        }
+
+        for (const child of node.children.values()) {
+            this.dfs(child, results, limit);
+        }
+    }
+
+    // Fuzzy prefix search: walks the trie carrying one row of the Levenshtein
+    // table per node and abandons a branch once every cell in its row exceeds
+    // maxDistance. A word matches when some prefix of it is within maxDistance
+    // of the query; matchLength is the length of that closest prefix.
+    fuzzySearch(query, maxDistance = 1) {
+        if (!query || query.trim() === '') return [];
+
+        const chars = Array.from(query.trim());
+        const firstRow = Array.from({ length: chars.length + 1 }, (_, i) => i);
+        const emptyMatch = { distance: chars.length, length: 0 };
+        const results = [];
+
+        for (const child of this.root.children.values()) {
+            this.fuzzyWalk(child, chars, firstRow, maxDistance, emptyMatch, 1, results);
+        }
+
+        return results;
+    }
+
+    fuzzyWalk(node, chars, previousRow, maxDistance, match, depth, results) {
+        const row = this.levenshteinRow(previousRow, chars, node.char);
+
+        // On ties prefer the longer prefix, so an inserted letter is shown as such
+        if (row[chars.length] <= match.distance) {
+            match = { distance: row[chars.length], length: depth };
+        }
+
+        if (node.isEndOfWord && match.distance <= maxDistance) {
+            results.push({
+                word: node.word,
+                frequency: node.frequency,
+                distance: match.distance,
+                matchLength: match.length
+            });
+        }
+
+        if (Math.min(...row) > maxDistance) {
+            // No longer prefix can get closer; if this path already matched,
+            // every word below it matches the same prefix
+            for (const child of node.children.values()) {
+                this.collectMatched(child, match, maxDistance, results);
+            }
+            return;
+        }
+
+        for (const child of node.children.values()) {
+            this.fuzzyWalk(child, chars, row, maxDistance, match, depth + 1, results);
+        }
+    }
+
+    // Next row of the Levenshtein table after appending char to the prefix
+    levenshteinRow(previousRow, chars, char) {
+        const row = [previousRow[0] + 1];
+        for (let i = 1; i <= chars.length; i++) {
+            const cost = chars[i - 1] === char ? 0 : 1;
+            row.push(Math.min(row[i - 1] + 1, previousRow[i] + 1, previousRow[i - 1] + cost));
+        }
+        return row;
+    }
+
+    collectMatched(node, match, maxDistance, results) {
+        if (match.distance > maxDistance) return;
+
+        const below = [];
+        this.dfs(node, below);
+        below.forEach(result => results.push({
+            ...result,
+            distance: match.distance,
+            matchLength: match.length
+        }));
+    }
+
+    // Positions in the first `length` characters of word that differ from
+    // query in a cheapest alignment (substituted or inserted characters)
+    correctedPositions(query, word, length) {
+        const a = Array.from(query);
+        const b = Array.from(word).slice(0, length);
+        const table = [];
+        for (let i = 0; i <= a.length; i++) {
+            table.push([i]);
+            for (let j = 1; j <= b.length; j++) {
+                table[i][j] = i === 0 ? j : Math.min(
+                    table[i - 1][j] + 1,
+                    table[i][j - 1] + 1,
+                    table[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+        }
+
+        const positions = new Set();
+        let i = a.length;
+        let j = b.length;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && table[i][j] === table[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+                if (a[i - 1] !== b[j - 1]) positions.add(j - 1);
+                i--;
+                j--;
+            } else if (j > 0 && table[i][j] === table[i][j - 1] + 1) {
+                positions.add(j - 1);
+                j--;
+            } else {
+                i--;
+            }
+        }
+        return positions;
+    }
+
+    getAllWords() {
+        const results = [];
+        this.dfs(this.root, results);
+        return results;
+    }
+
+    clear() {
+        this.root = new TrieNode();
+        this.wordCount = 0;
+        this.nodeCount = 1;
+    }
+
+    // Node and character counts of this trie and of a radix tree holding the
+    // same words: a trie node survives compression when it ends a word or
+    // does not have exactly one child
+    structureCounts() {
+        const counts = { trieNodes: 0, radixNodes: 0, chars: 0, wordChars: 0 };
+        const visit = (node) => {
+            counts.trieNodes++;
+            if (node === this.root || node.isEndOfWord || node.children.size !== 1) {
+                counts.radixNodes++;
+            }
+            if (node.isEndOfWord) {
+                counts.wordChars += node.word.length;
+            }
+            for (const child of node.children.values()) {
+                visit(child);
+            }
+        };
+        visit(this.root);
+
+        counts.chars = counts.trieNodes - 1; // One character per node, root excluded
+        return counts;
+    }
+
+    // Prefix-sharing savings, plus node counts and estimated bytes for both
+    // the trie and the radix tree layout of the current words
+    calculateMemoryEfficiency() {
+        const counts = this.structureCounts();
+        const wordBytes = this.wordCount * MEMORY_STRING_BYTES + counts.wordChars;
+        const nodeBytes = (nodes) => nodes * (MEMORY_NODE_BYTES + MEMORY_MAP_BYTES) +
+            (nodes - 1) * MEMORY_MAP_ENTRY_BYTES + wordBytes;
+
+        // Characters if every word were stored separately vs in the structure
+        const saved = counts.wordChars === 0 ? 0 :
+            Math.max(0, ((counts.wordChars - counts.chars) / counts.wordChars) * 100).toFixed(1);
+
+        return {
+            saved: saved,
+            trie: {
+                nodes: counts.trieNodes,
+                bytes: nodeBytes(counts.trieNodes)
+            },
+            radix: {
+                nodes: counts.radixNodes,
+                // Each edge keeps its label as a string of its own
+                bytes: nodeBytes(counts.radixNodes) + (counts.radixNodes - 1) * MEMORY_STRING_BYTES + counts.chars
+            }
+        };
+    }
+
+    // Export as JSON
+    exportToJSON() {
+        const words = this.getAllWords();
+        return JSON.stringify(words, null, 2);
+    }
+}
+
+// ===================================
+// Radix Tree (Patricia Trie)
+// ===================================
+
+class RadixNode {
+    constructor(label = '') {
+        this.label = label; // Characters on the edge leading into this node
+        this.children = new Map(); // Keyed by the first character of each child's label
+        this.isEndOfWord = false;
+        this.frequency = 0;
+        this.word = '';
+        this.maxFrequency = 0;
+    }
+}
+
+// A trie with every chain of single-child, non-word nodes collapsed into one
+// edge. Same API as Trie; only the methods that walk edges differ.
+class RadixTree extends Trie {
+    constructor() {
+        super();
+        this.root = new RadixNode();
+    }
+
+    insert(word, frequency = 1) {
+        if (!word || word.trim() === '') return false;
+
+        let node = this.root;
+        const processedWord = word.trim();
+        const path = [node];
+        let rest = processedWord;
+
+        while (rest.length > 0) {
+            const key = this.firstChar(rest);
+            let child = node.children.get(key);
+            if (!child) {
+                child = new RadixNode(rest);
+                node.children.set(key, child);
+                this.nodeCount++;
+                path.push(child);
+                break;
+            }
+
+            // Split the edge where the word leaves it
+            const common = this.commonPrefixLength(rest, child.label);
+            if (common < child.label.length) {
+                const middle = new RadixNode(child.label.slice(0, common));
+                child.label = child.label.slice(common);
+                middle.children.set(this.firstChar(child.label), child);
+                middle.maxFrequency = child.maxFrequency;
+                node.children.set(key, middle);
+                this.nodeCount++;
+                child = middle;
+            }
+
+            node = child;
+            path.push(node);
+            rest = rest.slice(common);
+        }
+
+        this.markWord(path, processedWord, frequency);
+        return true;
+    }
+
+    // A word ending part-way along an edge is not stored, so there is no path
+    findPath(word) {
+        if (!word || word.trim() === '') return null;
+
+        let node = this.root;
+        const path = [node];
+        let rest = word.trim();
+        while (rest.length > 0) {
+            const child = node.children.get(this.firstChar(rest));
+            if (!child || !rest.startsWith(child.label)) return null;
+            node = child;
+            path.push(node);
+            rest = rest.slice(child.label.length);
+        }
+        return path;
+    }
+
+    prefixNode(prefix) {
+        let node = this.root;
+        let rest = prefix;
+        while (rest.length > 0) {
+            const child = node.children.get(this.firstChar(rest));
+            if (!child) return null;
+
+            // A prefix ending inside an edge matches everything below it
+            if (child.label.startsWith(rest)) return child;
+            if (!rest.startsWith(child.label)) return null;
+            node = child;
+            rest = rest.slice(child.label.length);
+        }
+        return node;
+    }
+
+    delete(word) {
+        const path = this.findPath(word);
+        if (!path || !path[path.length - 1].isEndOfWord) return false;
+
+        const node = path[path.length - 1];
+        node.isEndOfWord = false;
+        node.frequency = 0;
+        node.word = '';
+        this.wordCount--;
+
+        // Drop the node if it is now a leaf, or fold it into its only child;
+        // dropping a leaf can leave its parent with one child to fold as well
+        if (node.children.size === 0) {
+            const parent = path[path.length - 2];
+            parent.children.delete(this.firstChar(node.label));
+            this.nodeCount--;
+            path.pop();
+            if (parent !== this.root && !parent.isEndOfWord && parent.children.size === 1) {
+                this.mergeWithChild(parent);
+            }
+        } else if (node.children.size === 1) {
+            this.mergeWithChild(node);
+        }
+
+        this.updateMaxFrequency(path);
+        return true;
+    }
+
+    // Absorb the only child into node, keeping node's place in its parent
+    mergeWithChild(node) {
+        const [child] = node.children.values();
+        node.label += child.label;
+        node.children = child.children;
+        node.isEndOfWord = child.isEndOfWord;
+        node.frequency = child.frequency;
+        node.word = child.word;
+        node.maxFrequency = child.maxFrequency;
+        this.nodeCount--;
+    }
+
+    // Same as Trie.fuzzyWalk, one table row per character along the edge
+    fuzzyWalk(node, chars, previousRow, maxDistance, match, depth, results) {
+        let row = previousRow;
+        for (const char of node.label) {
+            row = this.levenshteinRow(row, chars, char);
+            if (row[chars.length] <= match.distance) {
+                match = { distance: row[chars.length], length: depth };
+            }
+            depth++;
+
+            if (Math.min(...row) > maxDistance) {
+                this.collectMatched(node, match, maxDistance, results);
+                return;
+            }
+        }
+
+        if (node.isEndOfWord && match.distance <= maxDistance) {
+            results.push({
+                word: node.word,
+                frequency: node.frequency,
+                distance: match.distance,
+                matchLength: match.length
+            });
+        }
+
+        for (const child of node.children.values()) {
+            this.fuzzyWalk(child, chars, row, maxDistance, match, depth, results);
+        }
+    }
+
+    clear() {
+        super.clear();
+        this.root = new RadixNode();
+    }
+
+    structureCounts() {
+        const counts = { trieNodes: 0, radixNodes: 0, chars: 0, wordChars: 0 };
+        const visit = (node) => {
+            const labelChars = Array.from(node.label).length;
+            counts.radixNodes++;
+            counts.trieNodes += node === this.root ? 1 : labelChars;
+            counts.chars += labelChars;
+            if (node.isEndOfWord) {
+                counts.wordChars += node.word.length;
+            }
+            for (const child of node.children.values()) {
+                visit(child);
+            }
+        };
+        visit(this.root);
+        return counts;
+    }
+
+    // Whole code points, so an edge never splits a surrogate pair
+    firstChar(text) {
+        return String.fromCodePoint(text.codePointAt(0));
+    }
+
+    commonPrefixLength(a, b) {
+        let i = 0;
+        while (i < a.length && i < b.length) {
+            const code = a.codePointAt(i);
+            if (code !== b.codePointAt(i)) break;
+            i += code > 0xFFFF ? 2 : 1;
+        }
+        return i;
+    }
+}
+
+// ===================================
+// Compact Dictionary (Minimized DAWG)
+// ===================================
+
+const COMPACT_MAGIC = 'DAWG';
+const COMPACT_VERSION = 1;
+const COMPACT_HEADER_BYTES = 24;
+
+// Builds a minimized DAWG from words added in sorted order (Daciuk et al.):
+// once a word is added, the branch left behind by the previous word can no
+// longer change, so each of its nodes is swapped for an identical node seen
+// before, which makes words share suffixes as well as prefixes.
+class DawgBuilder {
+    constructor() {
+        this.final = [false];
+        this.edges = [[]]; // Per node: [charCode, target] pairs in char order
+        this.register = new Map(); // Signature -> node with that exact sub-language
+        this.unchecked = []; // { parent, child } along the previous word
+        this.previousWord = '';
+    }
+
+    add(word) {
+        if (word === '') return;
+        if (this.previousWord !== '' && word <= this.previousWord) {
+            throw new Error('Words must be added in sorted order without duplicates');
+        }
+
+        let common = 0;
+        while (common < word.length && common < this.previousWord.length &&
+            word[common] === this.previousWord[common]) {
+            common++;
+        }
+        this.minimize(common);
+
+        let node = this.unchecked.length === 0 ? 0 : this.unchecked[this.unchecked.length - 1].child;
+        for (let i = common; i < word.length; i++) {
+            const child = this.final.length;
+            this.final.push(false);
+            this.edges.push([]);
+            this.edges[node].push([word.charCodeAt(i), child]);
+            this.unchecked.push({ parent: node, child: child });
+            node = child;
+        }
+        this.final[node] = true;
+        this.previousWord = word;
+    }
+
+    minimize(downTo) {
+        while (this.unchecked.length > downTo) {
+            const { parent, child } = this.unchecked.pop();
+            const signature = (this.final[child] ? '1' : '0') + this.edges[child].join(';');
+            const existing = this.register.get(signature);
+            if (existing !== undefined) {
+                // The child is always the parent's last edge: input is sorted
+                this.edges[parent][this.edges[parent].length - 1][1] = existing;
+            } else {
+                this.register.set(signature, child);
+            }
+        }
+    }
+
+    // Flat arrays with nodes numbered in topological order (root 0, every
+    // edge pointing to a higher number); replaced nodes are dropped
+    finish() {
+        this.minimize(0);
+
+        const postorder = [];
+        const seen = new Uint8Array(this.final.length);
+        const visit = (node) => {
+            seen[node] = 1;
+            for (const [, target] of this.edges[node]) {
+                if (!seen[target]) visit(target);
+            }
+            postorder.push(node);
+        };
+        visit(0);
+        postorder.reverse();
+
+        const number = new Int32Array(this.final.length);
+        postorder.forEach((node, index) => {
+            number[node] = index;
+        });
+
+        const edgeCount = postorder.reduce((sum, node) => sum + this.edges[node].length, 0);
+        const dawg = {
+            nodeCount: postorder.length,
+            edgeCount: edgeCount,
+            edgeStart: new Uint32Array(postorder.length + 1),
+            edgeTarget: new Uint32Array(edgeCount),
+            edgeChar: new Uint16Array(edgeCount),
+            final: new Uint8Array(postorder.length)
+        };
+
+        let edge = 0;
+        postorder.forEach((node, index) => {
+            dawg.edgeStart[index] = edge;
+            dawg.final[index] = this.final[node] ? 1 : 0;
+            for (const [code, target] of this.edges[node]) {
+                dawg.edgeChar[edge] = code;
+                dawg.edgeTarget[edge] = number[target];
+                edge++;
+            }
+        });
+        dawg.edgeStart[postorder.length] = edge;
+        return dawg;
+    }
+}
+
+// Read-only dictionary queried straight from its serialized bytes. The
+// words form a minimized DAWG whose nodes know how many words lie below
+// them, which numbers every word by its sorted position; frequencies live in
+// an array indexed by that number. The words under a prefix are then one
+// contiguous range of it, and a range-maximum tree finds their top K.
+//
+// Binary layout (little-endian): a 24-byte header of magic "DAWG", version,
+// node, edge and word counts, then Uint32 edgeStart[nodes + 1], Uint32
+// edgeTarget[edges], Uint32 frequency[words], Uint16 edgeChar[edges] and
+// Uint8 final[nodes]. Edge characters are UTF-16 code units.
+class CompactDictionary extends Trie {
+    constructor(buffer) {
+        super();
+        this.root = null;
+
+        const bytes = new Uint8Array(buffer);
+        const header = new DataView(buffer);
+        if (buffer.byteLength < COMPACT_HEADER_BYTES ||
+            String.fromCharCode(...bytes.subarray(0, 4)) !== COMPACT_MAGIC) {
+            throw new Error('Not a compact dictionary file');
+        }
+        if (header.getUint32(4, true) !== COMPACT_VERSION) {
+            throw new Error('Unsupported compact dictionary version ' + header.getUint32(4, true));
+        }
+
+        this.nodeCount = header.getUint32(8, true);
+        this.edgeCount = header.getUint32(12, true);
+        this.wordCount = header.getUint32(16, true);
+        this.byteLength = buffer.byteLength;
+
+        const layout = CompactDictionary.layout(this.nodeCount, this.edgeCount, this.wordCount);
+        if (buffer.byteLength < layout.byteLength) {
+            throw new Error('Compact dictionary file is truncated');
+        }
+
+        // Views into the buffer: nothing is copied or parsed
+        this.edgeStart = new Uint32Array(buffer, layout.edgeStart, this.nodeCount + 1);
+        this.edgeTarget = new Uint32Array(buffer, layout.edgeTarget, this.edgeCount);
+        this.frequency = new Uint32Array(buffer, layout.frequency, this.wordCount);
+        this.edgeChar = new Uint16Array(buffer, layout.edgeChar, this.edgeCount);
+        this.final = new Uint8Array(buffer, layout.final, this.nodeCount);
+
+        this.countWords();
+        this.buildRangeMax();
+    }
+
+    static layout(nodeCount, edgeCount, wordCount) {
+        const edgeStart = COMPACT_HEADER_BYTES;
+        const edgeTarget = edgeStart + (nodeCount + 1) * 4;
+        const frequency = edgeTarget + edgeCount * 4;
+        const edgeChar = frequency + wordCount * 4;
+        const final = edgeChar + edgeCount * 2;
+        const byteLength = Math.ceil((final + nodeCount) / 4) * 4;
+        return { edgeStart, edgeTarget, frequency, edgeChar, final, byteLength };
+    }
+
+    // Frequencies are stored as whole numbers up to 2^32 - 1
+    static serialize(words) {
+        const sorted = words.slice().sort((a, b) => a.word < b.word ? -1 : a.word > b.word ? 1 : 0);
+        const builder = new DawgBuilder();
+        sorted.forEach(({ word }) => builder.add(word));
+        const dawg = builder.finish();
+
+        const layout = CompactDictionary.layout(dawg.nodeCount, dawg.edgeCount, sorted.length);
+        const buffer = new ArrayBuffer(layout.byteLength);
+        const header = new DataView(buffer);
+        for (let i = 0; i < COMPACT_MAGIC.length; i++) {
+            header.setUint8(i, COMPACT_MAGIC.charCodeAt(i));
+        }
+        header.setUint32(4, COMPACT_VERSION, true);
+        header.setUint32(8, dawg.nodeCount, true);
+        header.setUint32(12, dawg.edgeCount, true);
+        header.setUint32(16, sorted.length, true);
+
+        new Uint32Array(buffer, layout.edgeStart, dawg.nodeCount + 1).set(dawg.edgeStart);
+        new Uint32Array(buffer, layout.edgeTarget, dawg.edgeCount).set(dawg.edgeTarget);
+        new Uint32Array(buffer, layout.frequency, sorted.length).set(
+            sorted.map(({ frequency }) => Math.min(Math.max(Math.round(frequency), 1), 0xFFFFFFFF)));
+        new Uint16Array(buffer, layout.edgeChar, dawg.edgeCount).set(dawg.edgeChar);
+        new Uint8Array(buffer, layout.final, dawg.nodeCount).set(dawg.final);
+        return buffer;
+    }
+
+    // Words at or below each node, bottom-up; also checks that every edge
+    // points forward, so a corrupt file cannot send a walk round in a loop
+    countWords() {
+        const { edgeStart, edgeTarget, final } = this;
+        if (edgeStart[0] !== 0 || edgeStart[this.nodeCount] !== this.edgeCount) {
+            throw new Error('Corrupt compact dictionary');
+        }
+
+        this.counts = new Uint32Array(this.nodeCount);
+        for (let node = this.nodeCount - 1; node >= 0; node--) {
+            if (edgeStart[node] > edgeStart[node + 1]) {
+                throw new Error('Corrupt compact dictionary');
+            }
+            let count = final[node];
+            for (let edge = edgeStart[node]; edge < edgeStart[node + 1]; edge++) {
+                const target = edgeTarget[edge];
+                if (target <= node || target >= this.nodeCount) {
+                    throw new Error('Corrupt compact dictionary');
+                }
+                count += this.counts[target];
+            }
+            this.counts[node] = count;
+        }
+
+        if (this.nodeCount === 0 || this.counts[0] !== this.wordCount) {
+            throw new Error('Corrupt compact dictionary');
+        }
+    }
+
+    // Segment tree of word numbers, each internal entry holding the most
+    // frequent word in its range
+    buildRangeMax() {
+        this.treeSize = 1;
+        while (this.treeSize < this.wordCount) this.treeSize *= 2;
+
+        this.rangeTree = new Int32Array(this.treeSize * 2).fill(-1);
+        for (let i = 0; i < this.wordCount; i++) {
+            this.rangeTree[this.treeSize + i] = i;
+        }
+        for (let i = this.treeSize - 1; i > 0; i--) {
+            this.rangeTree[i] = this.moreFrequent(this.rangeTree[i * 2], this.rangeTree[i * 2 + 1]);
+        }
+    }
+
+    moreFrequent(a, b) {
+        if (a < 0) return b;
+        if (b < 0) return a;
+        return this.frequency[b] > this.frequency[a] ? b : a;
+    }
+
+    // Most frequent word number in [start, end)
+    rangeMax(start, end) {
+        let best = -1;
+        for (let low = start + this.treeSize, high = end + this.treeSize; low < high; low >>= 1, high >>= 1) {
+            if (low & 1) best = this.moreFrequent(best, this.rangeTree[low++]);
+            if (high & 1) best = this.moreFrequent(best, this.rangeTree[--high]);
+        }
+        return best;
+    }
+
+    insert() {
+        throw new Error('Compact dictionaries are read-only');
+    }
+
+    delete() {
+        throw new Error('Compact dictionaries are read-only');
+    }
+
+    setFrequency() {
+        throw new Error('Compact dictionaries are read-only');
+    }
+
+    // Node reached by text and the number of the first word at or below it
+    lookup(text) {
+        let node = 0;
+        let index = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            index += this.final[node];
+
+            let next = -1;
+            for (let edge = this.edgeStart[node]; edge < this.edgeStart[node + 1]; edge++) {
+                if (this.edgeChar[edge] === code) {
+                    next = this.edgeTarget[edge];
+                    break;
+                }
+                index += this.counts[this.edgeTarget[edge]];
+            }
+            if (next === -1) return null;
+            node = next;
+        }
+        return { node: node, index: index };
+    }
+
+    // Inverse of the numbering: follow the edge whose range holds index
+    wordAt(index) {
+        let node = 0;
+        let word = '';
+        while (true) {
+            if (this.final[node]) {
+                if (index === 0) return word;
+                index--;
+            }
+            for (let edge = this.edgeStart[node]; edge < this.edgeStart[node + 1]; edge++) {
+                const count = this.counts[this.edgeTarget[edge]];
+                if (index < count) {
+                    word += String.fromCharCode(this.edgeChar[edge]);
+                    node = this.edgeTarget[edge];
+                    break;
+                }
+                index -= count;
+            }
+        }
+    }
+
+    getFrequency(word) {
+        const found = word ? this.lookup(word.trim()) : null;
+        return found && this.final[found.node] ? this.frequency[found.index] : 0;
+    }
+
+    search(prefix, k = Infinity, ranked = true) {
+        if (!prefix || prefix.trim() === '') return [];
+
+        const found = this.lookup(prefix.trim());
+        if (!found) return [];
+
+        if (k !== Infinity && ranked) {
+            return this.topRange(found.index, found.index + this.counts[found.node], k);
+        }
+
+        const results = [];
+        this.collect(found.node, prefix.trim(), found.index, results, k);
+        return results;
+    }
+
+    // Top k of a word range: pop the range's maximum, then split the range
+    // around it and push both halves with their own maxima
+    topRange(start, end, k) {
+        const results = [];
+        const heap = new MaxHeap();
+        const pushRange = (low, high) => {
+            if (low >= high) return;
+            const best = this.rangeMax(low, high);
+            heap.push({ priority: this.frequency[best], index: best, low: low, high: high });
+        };
+
+        pushRange(start, end);
+        while (heap.size > 0 && results.length < k) {
+            const { index, low, high } = heap.pop();
+            results.push({ word: this.wordAt(index), frequency: this.frequency[index] });
+            pushRange(low, index);
+            pushRange(index + 1, high);
+        }
+        return results;
+    }
+
+    // Words below node in sorted order; index is the first one's number
+    collect(node, prefix, index, results, limit = Infinity, extra = null) {
+        if (results.length >= limit) return;
+
+        if (this.final[node]) {
+            results.push({ word: prefix, frequency: this.frequency[index], ...extra });
+            index++;
+        }
+        for (let edge = this.edgeStart[node]; edge < this.edgeStart[node + 1]; edge++) {
+            const target = this.edgeTarget[edge];
+            this.collect(target, prefix + String.fromCharCode(this.edgeChar[edge]), index, results, limit, extra);
+            index += this.counts[target];
+        }
+    }
+
+    getAllWords() {
+        const results = [];
+        this.collect(0, '', 0, results);
+        return results;
+    }
+
+    // Distances count whole characters, as in Trie: the two edges of a
+    // surrogate pair are taken as one step
+    fuzzySearch(query, maxDistance = 1) {
+        if (!query || query.trim() === '') return [];
+
+        const chars = Array.from(query.trim());
+        const firstRow = Array.from({ length: chars.length + 1 }, (_, i) => i);
+        const results = [];
+        this.fuzzyWalk(0, '', 0, 0, firstRow, { distance: chars.length, length: 0 }, chars, maxDistance, results);
+        return results;
+    }
+
+    fuzzyWalk(node, prefix, index, depth, row, match, chars, maxDistance, results) {
+        if (this.final[node]) {
+            if (match.distance <= maxDistance) {
+                results.push({
+                    word: prefix,
+                    frequency: this.frequency[index],
+                    distance: match.distance,
+                    matchLength: match.length
+                });
+            }
+            index++;
+        }
+
+        this.characterSteps(node, index).forEach(step => {
+            const childRow = this.levenshteinRow(row, chars, step.char);
+            const childMatch = childRow[chars.length] <= match.distance ?
+                { distance: childRow[chars.length], length: depth + 1 } : match;
+
+            if (Math.min(...childRow) <= maxDistance) {
+                this.fuzzyWalk(step.target, prefix + step.char, step.index, depth + 1, childRow, childMatch,
+                    chars, maxDistance, results);
+            } else if (childMatch.distance <= maxDistance) {
+                this.collect(step.target, prefix + step.char, step.index, results, Infinity,
+                    { distance: childMatch.distance, matchLength: childMatch.length });
+            }
+        });
+    }
+
+    // One { char, target, index } per whole character leaving node, where
+    // index is the target's first word. A high surrogate edge leads to a
+    // node whose edges carry the second half of the character.
+    characterSteps(node, index) {
+        const steps = [];
+        for (let edge = this.edgeStart[node]; edge < this.edgeStart[node + 1]; edge++) {
+            const target = this.edgeTarget[edge];
+            const code = this.edgeChar[edge];
+            if (code >= 0xD800 && code <= 0xDBFF) {
+                let lowIndex = index;
+                for (let low = this.edgeStart[target]; low < this.edgeStart[target + 1]; low++) {
+                    const lowTarget = this.edgeTarget[low];
+                    steps.push({ char: String.fromCharCode(code, this.edgeChar[low]), target: lowTarget, index: lowIndex });
+                    lowIndex += this.counts[lowTarget];
+                }
+            } else {
+                steps.push({ char: String.fromCharCode(code), target: target, index: index });
+            }
+            index += this.counts[target];
+        }
+        return steps;
+    }
+
+    // Trie and radix node counts of the same words without expanding them:
+    // each distinct path from the root to a node is one trie node. Tries
+    // hold whole characters, so a node halfway through a surrogate pair is
+    // not counted and its edges count as its parent's children.
+    structureCounts() {
+        const counts = { trieNodes: 1, radixNodes: 0, chars: 0, wordChars: 0 };
+        const paths = new Float64Array(this.nodeCount);
+        const midCharacter = new Uint8Array(this.nodeCount);
+        paths[0] = 1;
+        for (let node = 0; node < this.nodeCount; node++) {
+            let children = 0;
+            for (let edge = this.edgeStart[node]; edge < this.edgeStart[node + 1]; edge++) {
+                const target = this.edgeTarget[edge];
+                paths[target] += paths[node];
+                // This edge is one code unit of every word passing through it
+                counts.wordChars += paths[node] * this.counts[target];
+
+                if (this.edgeChar[edge] >= 0xD800 && this.edgeChar[edge] <= 0xDBFF) {
+                    midCharacter[target] = 1;
+                    children += this.edgeStart[target + 1] - this.edgeStart[target];
+                } else {
+                    counts.trieNodes += paths[node];
+                    children++;
+                }
+            }
+
+            if (!midCharacter[node] && (node === 0 || this.final[node] || children !== 1)) {
+                counts.radixNodes += paths[node];
+            }
+        }
+        counts.chars = counts.trieNodes - 1;
+        return counts;
     }
 }
 
-class Trie {
-    constructor() {
-        this.root = new TrieNode();
-        this.wordCount = 0;
-        this.nodeCount = 1; // Root node
+// ===================================
+// Bulk Import
+// ===================================
+
+const IMPORT_CHUNK_SIZE = 5000; // Entries inserted between yields to the browser
+const IMPORT_MAX_WORD_LENGTH = 100;
+const IMPORT_REJECTS_SHOWN = 20;
+
+// Loads plain word lists, `word,frequency` CSV and exportToJSON output into
+// a trie. Text formats are read as a stream; every IMPORT_CHUNK_SIZE entries
+// the importer yields so the page stays responsive on very large files.
+class DictionaryImporter {
+    constructor(trie, options = {}) {
+        this.trie = trie;
+        this.lowercase = options.lowercase ?? true;
+        this.onProgress = options.onProgress || (() => {});
     }
 
-    insert(word, frequency = 1) {
-        if (!word || word.trim() === '') return false;
+    async importFile(file) {
+        const format = await this.detectFormat(file);
+        const report = { format: format, entries: 0, added: 0, duplicates: 0, rejectedCount: 0, rejected: [] };
 
-        let node = this.root;
-        const processedWord = word.trim();
+        if (format === 'json') {
+            await this.importJSON(file, report);
+        } else {
+            await this.importLines(file, format, report);
+        }
+        return report;
+    }
 
-        for (const char of processedWord) {
-            if (!node.children.has(char)) {
-                node.children.set(char, new TrieNode(char));
-                this.nodeCount++;
+    // By extension, falling back to a look at the first line
+    async detectFormat(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'json') return 'json';
+        if (extension === 'csv') return 'csv';
+        if (extension === 'txt') return 'text';
+
+        const head = (await file.slice(0, 1024).text()).trimStart();
+        if (head.startsWith('[')) return 'json';
+        return head.split(/\r?\n/)[0].includes(',') ? 'csv' : 'text';
+    }
+
+    async importLines(file, format, report) {
+        let lineNumber = 0;
+        let pending = 0;
+
+        for await (const lines of this.readLines(file)) {
+            for (const line of lines) {
+                lineNumber++;
+                if (line.trim() === '') continue;
+
+                const entry = format === 'csv' ? this.parseCSVLine(line, lineNumber, report) : { word: line, frequency: 1 };
+                if (entry) this.addEntry(entry, lineNumber, line, report);
+
+                if (++pending === IMPORT_CHUNK_SIZE) {
+                    pending = 0;
+                    await this.yieldToBrowser(report);
+                }
             }
-            node = node.children.get(char);
         }
+    }
 
-        if (!node.isEndOfWord) {
-            this.wordCount++;
+    // The whole file has to be parsed at once, but inserting is still chunked
+    async importJSON(file, report) {
+        let entries;
+        try {
+            entries = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('Invalid JSON: ' + error.message);
+        }
+        if (!Array.isArray(entries)) {
+            throw new Error('JSON must be an array of { "word", "frequency" } entries');
         }
 
-        node.isEndOfWord = true;
-        node.frequency += frequency;
-        node.word = processedWord;
+        for (let i = 0; i < entries.length; i++) {
+            const item = entries[i];
+            const entry = typeof item === 'string' ? { word: item, frequency: 1 } : item;
+            const text = JSON.stringify(item);
+            if (!entry || typeof entry.word !== 'string') {
+                this.reject(report, i + 1, text, 'missing "word"');
+            } else if (entry.frequency !== undefined && !this.isFrequency(entry.frequency)) {
+                this.reject(report, i + 1, text, 'frequency is not a positive whole number');
+            } else {
+                this.addEntry({ word: entry.word, frequency: entry.frequency ?? 1 }, i + 1, text, report);
+            }
 
-        return true;
+            if ((i + 1) % IMPORT_CHUNK_SIZE === 0) {
+                await this.yieldToBrowser(report);
+            }
+        }
     }
 
-    search(prefix) {
-        if (!prefix || prefix.trim() === '') return [];
-
-        let node = this.root;
-        const processedPrefix = prefix.trim();
+    // Batches of complete lines as the file streams in
+    async *readLines(file) {
+        const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+        let rest = '';
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const lines = (rest + value).split(/\r?\n/);
+            rest = lines.pop();
+            yield lines;
+        }
+        if (rest) yield [rest];
+    }
 
-        // Navigate to the prefix node
-        for (const char of processedPrefix) {
-            if (!node.children.has(char)) {
-                return [];
+    // `word,frequency` with optional double quotes around the word. A
+    // `word,frequency` header on line 1 is skipped; other bad lines return null.
+    parseCSVLine(line, lineNumber, report) {
+        let word;
+        let rest;
+        const trimmed = line.trim();
+        if (trimmed.startsWith('"')) {
+            const match = trimmed.match(/^"((?:[^"]|"")*)"\s*(.*)$/);
+            if (!match) {
+                this.reject(report, lineNumber, line, 'unterminated quote');
+                return null;
             }
-            node = node.children.get(char);
+            word = match[1].replace(/""/g, '"');
+            rest = match[2];
+        } else {
+            const comma = trimmed.indexOf(',');
+            word = comma === -1 ? trimmed : trimmed.slice(0, comma);
+            rest = comma === -1 ? '' : trimmed.slice(comma);
         }
 
-        // Collect all words with this prefix
-        const results = [];
-        this.dfs(node, results);
-
-        return results;
+        if (rest === '') return { word: word, frequency: 1 };
+
+        const fields = rest.slice(1).split(',');
+        const frequency = Number(fields[0].trim());
+        if (!rest.startsWith(',')) {
+            this.reject(report, lineNumber, line, 'expected a comma after the word');
+        } else if (fields.length > 1) {
+            this.reject(report, lineNumber, line, 'too many columns');
+        } else if (!this.isFrequency(frequency)) {
+            if (lineNumber === 1 && /^(word|term)$/i.test(word.trim())) return null;
+            this.reject(report, lineNumber, line, 'frequency is not a positive whole number');
+        } else {
+            return { word: word, frequency: frequency };
+        }
+        return null;
     }
 
-    dfs(node, results) {
-        if (node.isEndOfWord) {
-            results.push({
-                word: node.word,
-                frequency: node.frequency
-            });
+    addEntry(entry, lineNumber, text, report) {
+        const word = this.lowercase ? entry.word.trim().toLowerCase() : entry.word.trim();
+        if (word === '') {
+            this.reject(report, lineNumber, text, 'empty word');
+            return;
+        }
+        if (word.length > IMPORT_MAX_WORD_LENGTH) {
+            this.reject(report, lineNumber, text, `longer than ${IMPORT_MAX_WORD_LENGTH} characters`);
+            return;
         }
 
-        for (const child of node.children.values()) {
-            this.dfs(child, results);
+        if (this.trie.getFrequency(word) > 0) {
+            report.duplicates++;
+        } else {
+            report.added++;
         }
+        this.trie.insert(word, entry.frequency);
+        report.entries++;
     }
 
-    getAllWords() {
-        const results = [];
-        this.dfs(this.root, results);
-        return results;
+    isFrequency(value) {
+        return Number.isInteger(value) && value >= 1;
     }
 
-    clear() {
-        this.root = new TrieNode();
-        this.wordCount = 0;
-        this.nodeCount = 1;
+    reject(report, lineNumber, text, reason) {
+        report.rejectedCount++;
+        if (report.rejected.length < IMPORT_REJECTS_SHOWN) {
+            report.rejected.push({ line: lineNumber, text: text, reason: reason });
+        }
     }
 
-    // Calculate memory efficiency (prefix sharing)
-    calculateMemoryEfficiency() {
-        const words = this.getAllWords();
-        if (words.length === 0) return 0;
+    yieldToBrowser(report) {
+        this.onProgress(report);
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
 
-        // Total characters if stored separately
-        const totalCharsNaive = words.reduce((sum, w) => sum + w.word.length, 0);
-        
-        // Characters in trie (nodes)
-        const charsInTrie = this.nodeCount - 1; // Exclude root
+// ===================================
+// Learned Ranking
+// ===================================
+
+const LEARNED_WEIGHTS_KEY = 'autocomplete.learnedWeights';
+const LEARNING_HALF_LIFE = 7 * 24 * 60 * 60 * 1000; // A pick counts half as much after a week
+const LEARNING_MIN_WEIGHT = 0.01; // Decayed below this, an entry is forgotten
+
+// Per-user selection weights, kept in localStorage apart from the dictionary.
+// Each pick adds 1 to a word's weight, and weights halve every half-life, so
+// words picked often and recently weigh the most.
+class SelectionLearner {
+    constructor(storageKey = LEARNED_WEIGHTS_KEY, halfLife = LEARNING_HALF_LIFE) {
+        this.storageKey = storageKey;
+        this.halfLife = halfLife;
+        this.entries = this.load(); // word -> { weight, updatedAt }
+    }
 
-        if (totalCharsNaive === 0) return 0;
+    load() {
+        try {
+            return new Map(Object.entries(JSON.parse(localStorage.getItem(this.storageKey)) || {}));
+        } catch (error) {
+            return new Map();
+        }
+    }
 
-        const saved = ((totalCharsNaive - charsInTrie) / totalCharsNaive) * 100;
-        return Math.max(0, saved).toFixed(1);
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(this.entries)));
+        } catch (error) {
+            // Storage full or disabled: keep learning for this session only
+        }
     }
 
-    // Export as JSON
-    exportToJSON() {
-        const words = this.getAllWords();
-        return JSON.stringify(words, null, 2);
+    weight(word, now = Date.now()) {
+        const entry = this.entries.get(word);
+        if (!entry) return 0;
+        return entry.weight * Math.pow(0.5, Math.max(0, now - entry.updatedAt) / this.halfLife);
+    }
+
+    record(word, now = Date.now()) {
+        this.entries.set(word, { weight: this.weight(word, now) + 1, updatedAt: now });
+
+        for (const known of this.entries.keys()) {
+            if (this.weight(known, now) < LEARNING_MIN_WEIGHT) this.entries.delete(known);
+        }
+        this.save();
+    }
+
+    words() {
+        return [...this.entries.keys()];
+    }
+
+    reset() {
+        this.entries.clear();
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing stored
+        }
     }
 }
 
@@ -118,6 +1346,9 @@ class Trie {
 // Autocomplete Engine UI
 // ===================================
 
+const TRIE_VIEW_MAX_NODES = 2000;
+const WORD_LIST_MAX_ROWS = 500;
+
 class AutocompleteUI {
     constructor() {
         this.trie = new Trie();
@@ -125,6 +1356,11 @@ class AutocompleteUI {
         this.showFrequency = true;
         this.sortByFrequency = true;
         this.maxSuggestions = 10;
+        this.fuzzyMatch = false;
+        this.maxTypos = 2;
+        this.learnFromSelections = true;
+        this.storageMode = 'trie';
+        this.learner = new SelectionLearner();
         
         // Performance tracking
         this.searchCount = 0;
@@ -135,6 +1371,7 @@ class AutocompleteUI {
         this.attachEventListeners();
         this.loadPresets();
         this.loadDefaultDictionary();
+        this.updateLearnedCount();
     }
 
     initializeElements() {
@@ -151,6 +1388,7 @@ class AutocompleteUI {
         this.addWordBtn = document.getElementById('addWordBtn');
         this.clearDictionaryBtn = document.getElementById('clearDictionaryBtn');
         this.exportBtn = document.getElementById('exportBtn');
+        this.exportCompactBtn = document.getElementById('exportCompactBtn');
 
         // Options
         this.caseSensitiveCheckbox = document.getElementById('caseSensitive');
@@ -158,11 +1396,26 @@ class AutocompleteUI {
         this.sortByFrequencyCheckbox = document.getElementById('sortByFrequency');
         this.maxSuggestionsSlider = document.getElementById('maxSuggestions');
         this.maxSuggestionsValue = document.getElementById('maxSuggestionsValue');
+        this.fuzzyMatchCheckbox = document.getElementById('fuzzyMatch');
+        this.maxTyposSlider = document.getElementById('maxTypos');
+        this.maxTyposValue = document.getElementById('maxTyposValue');
+        this.storageModeSelect = document.getElementById('storageMode');
+        this.learnFromSelectionsCheckbox = document.getElementById('learnFromSelections');
+        this.resetLearningBtn = document.getElementById('resetLearningBtn');
+        this.learnedCountDisplay = document.getElementById('learnedCount');
+
+        // Import
+        this.dropZone = document.getElementById('dropZone');
+        this.importBtn = document.getElementById('importBtn');
+        this.importFileInput = document.getElementById('importFileInput');
+        this.importProgress = document.getElementById('importProgress');
+        this.importReport = document.getElementById('importReport');
 
         // Stats
         this.totalWordsDisplay = document.getElementById('totalWords');
         this.trieNodesDisplay = document.getElementById('trieNodes');
         this.memorySavedDisplay = document.getElementById('memorySaved');
+        this.nodesLabel = document.getElementById('nodesLabel');
 
         // Tabs
         this.tabButtons = document.querySelectorAll('.tab-btn');
@@ -180,6 +1433,21 @@ class AutocompleteUI {
         this.memoryEfficiency = document.getElementById('memoryEfficiency');
         this.totalSearchesDisplay = document.getElementById('totalSearches');
         this.hitRateDisplay = document.getElementById('hitRate');
+        this.trieMemoryRow = document.getElementById('trieMemoryRow');
+        this.radixMemoryRow = document.getElementById('radixMemoryRow');
+        this.trieNodeCountDisplay = document.getElementById('trieNodeCount');
+        this.trieBytesDisplay = document.getElementById('trieBytes');
+        this.radixNodeCountDisplay = document.getElementById('radixNodeCount');
+        this.radixBytesDisplay = document.getElementById('radixBytes');
+        this.compareFormatsBtn = document.getElementById('compareFormatsBtn');
+        this.serializationCells = {};
+        for (const format of ['json', 'compact']) {
+            this.serializationCells[format] = {
+                size: document.getElementById(format + 'Size'),
+                loadTime: document.getElementById(format + 'LoadTime'),
+                structure: document.getElementById(format + 'Structure')
+            };
+        }
     }
 
     attachEventListeners() {
@@ -209,11 +1477,32 @@ class AutocompleteUI {
             if (e.key === 'Enter') this.addWord();
         });
 
+        // Import from a dropped or chosen file
+        this.importBtn.addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importDictionary(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.add('drag-over');
+        });
+        this.dropZone.addEventListener('dragleave', () => {
+            this.dropZone.classList.remove('drag-over');
+        });
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.remove('drag-over');
+            if (e.dataTransfer.files[0]) this.importDictionary(e.dataTransfer.files[0]);
+        });
+
         // Clear dictionary
         this.clearDictionaryBtn.addEventListener('click', () => this.clearDictionary());
 
         // Export
         this.exportBtn.addEventListener('click', () => this.exportDictionary());
+        this.exportCompactBtn.addEventListener('click', () => this.exportCompactDictionary());
+        this.compareFormatsBtn.addEventListener('click', () => this.compareFormats());
 
         // Options
         this.caseSensitiveCheckbox.addEventListener('change', (e) => {
@@ -242,6 +1531,34 @@ class AutocompleteUI {
             }
         });
 
+        this.fuzzyMatchCheckbox.addEventListener('change', (e) => {
+            this.fuzzyMatch = e.target.checked;
+            if (this.searchInput.value) {
+                this.handleSearch(this.searchInput.value);
+            }
+        });
+
+        this.maxTyposSlider.addEventListener('input', (e) => {
+            this.maxTypos = parseInt(e.target.value);
+            this.maxTyposValue.textContent = this.maxTypos;
+            if (this.searchInput.value) {
+                this.handleSearch(this.searchInput.value);
+            }
+        });
+
+        this.storageModeSelect.addEventListener('change', (e) => {
+            this.setStorageMode(e.target.value);
+        });
+
+        this.learnFromSelectionsCheckbox.addEventListener('change', (e) => {
+            this.learnFromSelections = e.target.checked;
+            if (this.searchInput.value) {
+                this.handleSearch(this.searchInput.value);
+            }
+        });
+
+        this.resetLearningBtn.addEventListener('click', () => this.resetLearning());
+
         // Tabs
         this.tabButtons.forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -263,6 +1580,19 @@ class AutocompleteUI {
             this.renderWordsList(e.target.value);
         });
 
+        // Remove or edit entries from the word list
+        this.wordsContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-word-action]');
+            if (!button) return;
+
+            const word = button.closest('.word-item').dataset.word;
+            if (button.dataset.wordAction === 'delete') {
+                this.deleteWord(word);
+            } else {
+                this.editWordFrequency(word);
+            }
+        });
+
         // Expand/Collapse trie
         this.expandAllBtn.addEventListener('click', () => this.expandAllNodes());
         this.collapseAllBtn.addEventListener('click', () => this.collapseAllNodes());
@@ -349,6 +1679,7 @@ class AutocompleteUI {
         const preset = this.presets[presetName];
         if (!preset) return;
 
+        this.ensureEditable();
         preset.forEach(({ word, freq }) => {
             this.trie.insert(word, freq);
         });
@@ -368,6 +1699,7 @@ class AutocompleteUI {
         }
 
         const processedWord = this.caseSensitive ? word : word.toLowerCase();
+        this.ensureEditable();
         this.trie.insert(processedWord, frequency);
 
         this.wordInput.value = '';
@@ -378,12 +1710,83 @@ class AutocompleteUI {
         this.renderWordsList();
     }
 
+    // Rebuild the dictionary in another structure; all share one API
+    setStorageMode(mode) {
+        if (this.importing) {
+            alert('⚠️ Wait for the import to finish before switching storage!');
+            this.storageModeSelect.value = this.storageMode;
+            return;
+        }
+
+        const words = this.trie.getAllWords();
+        this.storageMode = mode;
+        this.storageModeSelect.value = mode;
+        if (mode === 'compact') {
+            this.trie = new CompactDictionary(CompactDictionary.serialize(words));
+        } else {
+            this.trie = mode === 'radix' ? new RadixTree() : new Trie();
+            words.forEach(({ word, frequency }) => this.trie.insert(word, frequency));
+        }
+
+        this.refreshAfterEdit();
+    }
+
+    // The compact dictionary is read-only, so edits switch back to a trie first
+    ensureEditable() {
+        if (this.storageMode === 'compact') {
+            this.setStorageMode('trie');
+        }
+    }
+
+    deleteWord(word) {
+        if (!confirm(`Remove "${word}" from the dictionary?`)) {
+            return;
+        }
+
+        this.ensureEditable();
+        this.trie.delete(word);
+        this.refreshAfterEdit();
+    }
+
+    editWordFrequency(word) {
+        const current = this.trie.getFrequency(word);
+        if (current === 0) return;
+
+        const input = prompt(`New frequency for "${word}":`, current);
+        if (input === null) return;
+
+        this.ensureEditable();
+        // Number, not parseInt, so "5abc" or "2.7" is refused rather than cut short
+        const frequency = Number(input);
+        if (!this.trie.setFrequency(word, frequency)) {
+            alert('⚠️ Frequency must be a whole number of at least 1!');
+            return;
+        }
+        this.refreshAfterEdit();
+    }
+
+    refreshAfterEdit() {
+        this.updateStats();
+        this.renderTrieVisualization();
+        this.renderWordsList(this.filterInput.value);
+        if (this.searchInput.value) {
+            this.handleSearch(this.searchInput.value);
+        }
+    }
+
     clearDictionary() {
         if (!confirm('Are you sure you want to clear the entire dictionary?')) {
             return;
         }
 
-        this.trie.clear();
+        // A compact dictionary cannot be cleared in place; start a new trie
+        if (this.storageMode === 'compact') {
+            this.storageMode = 'trie';
+            this.storageModeSelect.value = 'trie';
+            this.trie = new Trie();
+        } else {
+            this.trie.clear();
+        }
         this.searchCount = 0;
         this.totalSearchTime = 0;
         this.successfulSearches = 0;
@@ -394,17 +1797,167 @@ class AutocompleteUI {
         this.updatePerformanceMetrics();
     }
 
+    async importDictionary(file) {
+        if (this.importing) {
+            alert('⚠️ An import is already running!');
+            return;
+        }
+
+        if (await file.slice(0, COMPACT_MAGIC.length).text() === COMPACT_MAGIC) {
+            await this.loadCompactDictionary(file);
+            return;
+        }
+
+        this.ensureEditable();
+        this.importing = true;
+        this.importBtn.disabled = true;
+        this.importReport.classList.add('hidden');
+        this.importProgress.classList.remove('hidden');
+        this.importProgress.textContent = `Reading ${file.name}...`;
+
+        const importer = new DictionaryImporter(this.trie, {
+            lowercase: !this.caseSensitive,
+            onProgress: (report) => {
+                this.importProgress.textContent = `Importing ${file.name}: ${report.entries.toLocaleString()} words...`;
+            }
+        });
+
+        const startTime = performance.now();
+        try {
+            const report = await importer.importFile(file);
+            this.renderImportReport(file, report, performance.now() - startTime);
+        } catch (error) {
+            alert('⚠️ Could not import ' + file.name + ': ' + error.message);
+        } finally {
+            // Words inserted before a failure stay, so refresh either way
+            this.importing = false;
+            this.importBtn.disabled = false;
+            this.importProgress.classList.add('hidden');
+            this.refreshAfterEdit();
+        }
+    }
+
+    renderImportReport(file, report, elapsed) {
+        const formats = { text: 'word list', csv: 'CSV', json: 'JSON' };
+        const position = report.format === 'json' ? 'Entry' : 'Line';
+        const rejected = report.rejected.map(item => `
+            <li>${position} ${item.line}: <code>${this.escapeHtml(item.text.slice(0, 60))}</code> - ${item.reason}</li>
+        `).join('');
+        const more = report.rejectedCount - report.rejected.length;
+
+        this.importReport.innerHTML = `
+            <p><strong>✅ ${this.escapeHtml(file.name)}</strong> (${formats[report.format]}) in ${(elapsed / 1000).toFixed(1)}s</p>
+            <p>${report.added.toLocaleString()} new • ${report.duplicates.toLocaleString()} duplicates (frequencies added) • ${report.rejectedCount.toLocaleString()} rejected</p>
+            ${rejected ? `<ul class="import-rejects">${rejected}${more > 0 ? `<li>...and ${more.toLocaleString()} more</li>` : ''}</ul>` : ''}
+        `;
+        this.importReport.classList.remove('hidden');
+    }
+
+    // Replaces the dictionary with a serialized one, queried as loaded
+    async loadCompactDictionary(file) {
+        if (this.trie.wordCount > 0 && !confirm(`Replace the current dictionary with ${file.name}?`)) {
+            return;
+        }
+
+        try {
+            const buffer = await file.arrayBuffer();
+            const startTime = performance.now();
+            const dictionary = new CompactDictionary(buffer);
+            const loadTime = performance.now() - startTime;
+
+            this.trie = dictionary;
+            this.storageMode = 'compact';
+            this.storageModeSelect.value = 'compact';
+            this.renderSerializationStats({
+                compact: {
+                    bytes: buffer.byteLength,
+                    loadTime: loadTime,
+                    structure: this.describeCompact(dictionary)
+                }
+            });
+        } catch (error) {
+            alert('⚠️ Could not load ' + file.name + ': ' + error.message);
+            return;
+        }
+        this.refreshAfterEdit();
+    }
+
     exportDictionary() {
         const json = this.trie.exportToJSON();
-        const blob = new Blob([json], { type: 'application/json' });
+        this.download(new Blob([json], { type: 'application/json' }), 'dictionary.json');
+    }
+
+    exportCompactDictionary() {
+        const buffer = CompactDictionary.serialize(this.trie.getAllWords());
+        this.download(new Blob([buffer], { type: 'application/octet-stream' }), 'dictionary.dawg');
+    }
+
+    download(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'dictionary.json';
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
 
+    // Size and load time of the JSON export against the compact format for
+    // the current words. Loading JSON means parsing it and rebuilding a trie.
+    compareFormats() {
+        const words = this.trie.getAllWords();
+        if (words.length === 0) {
+            alert('⚠️ The dictionary is empty!');
+            return;
+        }
+
+        const json = this.trie.exportToJSON();
+        const buffer = CompactDictionary.serialize(words);
+
+        let startTime = performance.now();
+        const rebuilt = new Trie();
+        JSON.parse(json).forEach(({ word, frequency }) => rebuilt.insert(word, frequency));
+        const jsonLoadTime = performance.now() - startTime;
+
+        startTime = performance.now();
+        const compact = new CompactDictionary(buffer);
+        const compactLoadTime = performance.now() - startTime;
+
+        this.renderSerializationStats({
+            json: {
+                bytes: new TextEncoder().encode(json).length,
+                loadTime: jsonLoadTime,
+                structure: `Trie, ${rebuilt.nodeCount.toLocaleString()} nodes`
+            },
+            compact: {
+                bytes: buffer.byteLength,
+                loadTime: compactLoadTime,
+                structure: this.describeCompact(compact)
+            }
+        });
+    }
+
+    describeCompact(dictionary) {
+        return `DAWG, ${dictionary.nodeCount.toLocaleString()} nodes / ${dictionary.edgeCount.toLocaleString()} edges`;
+    }
+
+    // Fills in whichever formats were measured; best size and time win
+    renderSerializationStats(stats) {
+        for (const format of ['json', 'compact']) {
+            const cells = this.serializationCells[format];
+            const entry = stats[format];
+            cells.size.textContent = entry ? this.formatBytes(entry.bytes) : '-';
+            cells.loadTime.textContent = entry ? entry.loadTime.toFixed(1) + 'ms' : '-';
+            cells.structure.textContent = entry ? entry.structure : '-';
+        }
+
+        const both = stats.json && stats.compact;
+        const cells = this.serializationCells;
+        cells.json.size.classList.toggle('winner', Boolean(both) && stats.json.bytes < stats.compact.bytes);
+        cells.compact.size.classList.toggle('winner', Boolean(both) && stats.compact.bytes < stats.json.bytes);
+        cells.json.loadTime.classList.toggle('winner', Boolean(both) && stats.json.loadTime < stats.compact.loadTime);
+        cells.compact.loadTime.classList.toggle('winner', Boolean(both) && stats.compact.loadTime < stats.json.loadTime);
+    }
+
     handleSearch(query) {
         // Show/hide clear button
         if (query) {
@@ -420,7 +1973,9 @@ class AutocompleteUI {
 
         // Measure search time
         const startTime = performance.now();
-        let results = this.trie.search(processedQuery);
+        let results = this.fuzzyMatch ?
+            this.trie.fuzzySearch(processedQuery, this.typoBudget(processedQuery)) :
+            this.trie.search(processedQuery, this.maxSuggestions, this.sortByFrequency);
         const endTime = performance.now();
         const searchTime = endTime - startTime;
 
@@ -431,19 +1986,100 @@ class AutocompleteUI {
             this.successfulSearches++;
         }
 
-        // Sort results
+        // Ranked results are scored by frequency boosted by learned picks;
+        // fuzzy matches are sorted closest first
         if (this.sortByFrequency) {
-            results.sort((a, b) => b.frequency - a.frequency);
+            results = this.scoreResults(results, processedQuery);
+        }
+        if (this.fuzzyMatch) {
+            results.sort((a, b) => a.distance - b.distance ||
+                (this.sortByFrequency ? b.score - a.score : 0));
+        } else if (this.sortByFrequency) {
+            results.sort((a, b) => b.score - a.score);
         }
-
-        // Limit results
         results = results.slice(0, this.maxSuggestions);
 
+        // Mark the characters that were corrected
+        const trimmedQuery = processedQuery.trim();
+        results.forEach(result => {
+            if (result.distance > 0) {
+                result.corrections = this.trie.correctedPositions(trimmedQuery, result.word, result.matchLength);
+            }
+        });
+
         // Display results
         this.displaySuggestions(results, searchTime);
         this.updatePerformanceMetrics();
     }
 
+    // score = frequency × (1 + learned weight). Boosts only raise scores, so
+    // the frequency top-K plus the learned words with this prefix always
+    // contain the boosted top-K.
+    scoreResults(results, query) {
+        const candidates = new Map(results.map(result => [result.word, result]));
+        if (!this.learnFromSelections) {
+            return results.map(result => ({ ...result, score: result.frequency, learned: 0 }));
+        }
+
+        if (!this.fuzzyMatch) {
+            const prefix = query.trim();
+            for (const word of this.learner.words()) {
+                const frequency = this.trie.getFrequency(word);
+                if (!candidates.has(word) && word.startsWith(prefix) && frequency > 0) {
+                    candidates.set(word, { word: word, frequency: frequency });
+                }
+            }
+        }
+
+        const now = Date.now();
+        return [...candidates.values()].map(result => {
+            const learned = this.learner.weight(result.word, now);
+            return { ...result, score: result.frequency * (1 + learned), learned: learned };
+        });
+    }
+
+    selectSuggestion(word) {
+        this.searchInput.value = word;
+        this.suggestionsDropdown.classList.add('hidden');
+
+        if (this.learnFromSelections) {
+            this.learner.record(word);
+            this.updateLearnedCount();
+        }
+    }
+
+    resetLearning() {
+        if (!confirm('Forget all learned selections and go back to dictionary ranking?')) {
+            return;
+        }
+
+        this.learner.reset();
+        this.updateLearnedCount();
+    }
+
+    updateLearnedCount() {
+        this.learnedCountDisplay.textContent = this.learner.words().length;
+    }
+
+    // Allowed typos grow with the query: none below 3 characters, so a
+    // one- or two-letter prefix does not match half the dictionary
+    typoBudget(query) {
+        return Math.min(this.maxTypos, Math.floor(Array.from(query.trim()).length / 3));
+    }
+
+    escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    renderSuggestionWord(result) {
+        if (!result.corrections) return this.escapeHtml(result.word);
+
+        return Array.from(result.word).map((char, index) => result.corrections.has(index) ?
+            `<mark class="suggestion-fix">${this.escapeHtml(char)}</mark>` :
+            this.escapeHtml(char)).join('');
+    }
+
     displaySuggestions(results, searchTime) {
         this.searchTime.textContent = searchTime.toFixed(2) + 'ms';
 
@@ -453,8 +2089,10 @@ class AutocompleteUI {
         }
 
         this.suggestionsList.innerHTML = results.map(result => `
-            <div class="suggestion-item" data-word="${result.word}">
-                <span class="suggestion-word">${result.word}</span>
+            <div class="suggestion-item" data-word="${this.escapeHtml(result.word)}">
+                <span class="suggestion-word">${this.renderSuggestionWord(result)}</span>
+                ${result.learned >= LEARNING_MIN_WEIGHT ? `<span class="suggestion-learned" title="Boosted by your picks (weight ${result.learned.toFixed(2)})">⭐</span>` : ''}
+                ${result.distance > 0 ? `<span class="suggestion-distance">${result.distance} typo${result.distance > 1 ? 's' : ''}</span>` : ''}
                 ${this.showFrequency ? `<span class="suggestion-frequency">${result.frequency}×</span>` : ''}
             </div>
         `).join('');
@@ -462,19 +2100,41 @@ class AutocompleteUI {
         // Add click handlers
         this.suggestionsList.querySelectorAll('.suggestion-item').forEach(item => {
             item.addEventListener('click', (e) => {
-                const word = e.currentTarget.dataset.word;
-                this.searchInput.value = word;
-                this.suggestionsDropdown.classList.add('hidden');
+                this.selectSuggestion(e.currentTarget.dataset.word);
             });
         });
 
         this.suggestionsDropdown.classList.remove('hidden');
     }
 
+    // Memory figures need a full traversal, so they are only recomputed
+    // here, when the dictionary changes, and not on every search
     updateStats() {
+        this.memoryStats = this.trie.calculateMemoryEfficiency();
         this.totalWordsDisplay.textContent = this.trie.wordCount;
         this.trieNodesDisplay.textContent = this.trie.nodeCount;
-        this.memorySavedDisplay.textContent = this.trie.calculateMemoryEfficiency() + '%';
+        this.nodesLabel.textContent = { trie: 'Trie Nodes:', radix: 'Radix Nodes:', compact: 'DAWG Nodes:' }[this.storageMode];
+        this.memorySavedDisplay.textContent = this.memoryStats.saved + '%';
+        this.renderMemoryComparison();
+    }
+
+    renderMemoryComparison() {
+        const { trie, radix } = this.memoryStats;
+        this.trieNodeCountDisplay.textContent = trie.nodes.toLocaleString();
+        this.trieBytesDisplay.textContent = this.formatBytes(trie.bytes);
+        this.radixNodeCountDisplay.textContent = radix.nodes.toLocaleString();
+        this.radixBytesDisplay.textContent = this.formatBytes(radix.bytes);
+
+        this.trieBytesDisplay.classList.toggle('winner', trie.bytes < radix.bytes);
+        this.radixBytesDisplay.classList.toggle('winner', radix.bytes < trie.bytes);
+        this.trieMemoryRow.classList.toggle('active-layout', this.storageMode === 'trie');
+        this.radixMemoryRow.classList.toggle('active-layout', this.storageMode === 'radix');
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
     }
 
     updatePerformanceMetrics() {
@@ -486,7 +2146,7 @@ class AutocompleteUI {
             ((this.successfulSearches / this.searchCount) * 100).toFixed(1) : 0;
         this.hitRateDisplay.textContent = hitRate + '%';
 
-        this.memoryEfficiency.textContent = this.trie.calculateMemoryEfficiency() + '%';
+        this.memoryEfficiency.textContent = this.memoryStats.saved + '%';
         this.totalSearchesDisplay.textContent = this.searchCount;
     }
 
@@ -529,6 +2189,29 @@ class AutocompleteUI {
             return;
         }
 
+        if (this.storageMode === 'compact') {
+            this.trieContainer.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">📦</div>
+                    <h3>Compact DAWG</h3>
+                    <p>${this.trie.wordCount.toLocaleString()} words in ${this.trie.nodeCount.toLocaleString()} nodes and ${this.trie.edgeCount.toLocaleString()} edges, shared by common prefixes and suffixes. Switch Storage to Trie or Radix Tree to draw it.</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Drawing hundreds of thousands of nodes would freeze the page
+        if (this.trie.nodeCount > TRIE_VIEW_MAX_NODES) {
+            this.trieContainer.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🌳</div>
+                    <h3>Trie Too Large to Draw</h3>
+                    <p>${this.trie.nodeCount.toLocaleString()} nodes - the view shows tries of up to ${TRIE_VIEW_MAX_NODES.toLocaleString()}. Use search or the Word List instead.</p>
+                </div>
+            `;
+            return;
+        }
+
         this.trieContainer.innerHTML = this.renderTrieNode(this.trie.root, 'root');
     }
 
@@ -536,9 +2219,9 @@ class AutocompleteUI {
         let html = '<div class="trie-node">';
         
         html += `<div class="node-content">`;
-        html += `<span class="node-char">${label}</span>`;
+        html += `<span class="node-char">${this.escapeHtml(label)}</span>`;
         if (node.isEndOfWord) {
-            html += `<span class="node-word">✓ ${node.word}</span>`;
+            html += `<span class="node-word">✓ ${this.escapeHtml(node.word)}</span>`;
             html += `<span class="node-freq">${node.frequency}×</span>`;
         }
         html += `</div>`;
@@ -546,7 +2229,7 @@ class AutocompleteUI {
         if (node.children.size > 0) {
             html += `<div class="node-children">`;
             for (const [char, childNode] of node.children) {
-                html += this.renderTrieNode(childNode, char);
+                html += this.renderTrieNode(childNode, childNode.label ?? char);
             }
             html += `</div>`;
         }
@@ -573,13 +2256,20 @@ class AutocompleteUI {
             words.filter(w => w.word.includes(filter.toLowerCase())) : words;
 
         filteredWords.sort((a, b) => b.frequency - a.frequency);
+        const shownWords = filteredWords.slice(0, WORD_LIST_MAX_ROWS);
 
-        this.wordsContainer.innerHTML = filteredWords.map(w => `
-            <div class="word-item">
-                <span class="word-text">${w.word}</span>
+        this.wordsContainer.innerHTML = shownWords.map(w => `
+            <div class="word-item" data-word="${this.escapeHtml(w.word)}">
+                <span class="word-text">${this.escapeHtml(w.word)}</span>
                 <span class="word-freq">${w.frequency}×</span>
+                <div class="word-actions">
+                    <button class="word-action" data-word-action="edit" title="Edit frequency">✏️</button>
+                    <button class="word-action" data-word-action="delete" title="Remove word">🗑️</button>
+                </div>
             </div>
-        `).join('');
+        `).join('') + (filteredWords.length > shownWords.length ? `
+            <p class="words-more">Showing the top ${shownWords.length.toLocaleString()} of ${filteredWords.length.toLocaleString()} words - filter to narrow down.</p>
+        ` : '');
     }
 
     expandAllNodes() {
@@ -601,8 +2291,25 @@ class AutocompleteUI {
 
 let app;
 
-document.addEventListener('DOMContentLoaded', () => {
-    app = new AutocompleteUI();
-    console.log('🚀 Autocomplete Engine loaded!');
-    console.log('💡 Try typing to see suggestions!');
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // benchmark.html loads this file for the Trie alone
+        if (!document.getElementById('searchInput')) return;
+
+        app = new AutocompleteUI();
+        console.log('🚀 Autocomplete Engine loaded!');
+        console.log('💡 Try typing to see suggestions!');
+    });
+} else if (typeof module !== 'undefined' && module.exports) {
+    // Loaded by Node (the tests): expose the dictionary structures
+    module.exports = {
+        TrieNode,
+        MaxHeap,
+        Trie,
+        RadixTree,
+        DawgBuilder,
+        CompactDictionary,
+        DictionaryImporter,
+        SelectionLearner
+    };
+}
@@ -0,0 +1,172 @@
+// Checks that the three storage modes answer alike and stay consistent
+// through deletes and frequency edits. Run with: node --test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Trie, RadixTree, CompactDictionary } = require('../script.js');
+
+const WORDS = [
+    ['cat', 12], ['cats', 4], ['catalog', 7], ['café', 9], ['caf😀', 3],
+    ['😀smile', 5], ['😀😀', 2], ['dog', 8], ['dogs', 1], ['doge', 6]
+];
+
+function buildAll() {
+    const trie = new Trie();
+    const radix = new RadixTree();
+    WORDS.forEach(([word, frequency]) => {
+        trie.insert(word, frequency);
+        radix.insert(word, frequency);
+    });
+    const compact = new CompactDictionary(CompactDictionary.serialize(trie.getAllWords()));
+    return { trie, radix, compact };
+}
+
+function fuzzyKey(results) {
+    return results.map(r => `${r.word}:${r.frequency}:${r.distance}:${r.matchLength}`).sort();
+}
+
+test('fuzzy search agrees across storage modes, emoji included', () => {
+    const { trie, radix, compact } = buildAll();
+    const queries = ['cafe', 'caf😀', 'caf😃', '😀', '😃smile', '😀😃', 'dgo', 'ct'];
+
+    for (const query of queries) {
+        for (const distance of [0, 1, 2]) {
+            const expected = fuzzyKey(trie.fuzzySearch(query, distance));
+            assert.deepEqual(fuzzyKey(radix.fuzzySearch(query, distance)), expected, `radix ${query} ${distance}`);
+            assert.deepEqual(fuzzyKey(compact.fuzzySearch(query, distance)), expected, `compact ${query} ${distance}`);
+        }
+    }
+});
+
+test('an emoji counts as one character in fuzzy distances', () => {
+    const { compact } = buildAll();
+    const match = compact.fuzzySearch('caf😃', 1).find(result => result.word === 'caf😀');
+
+    assert.equal(match.distance, 1);
+    assert.equal(match.matchLength, 4);
+});
+
+test('the DAWG file loads back the same words and rankings', () => {
+    const { trie, compact } = buildAll();
+    const byWord = (a, b) => a.word.localeCompare(b.word);
+
+    assert.equal(compact.wordCount, trie.wordCount);
+    assert.deepEqual(compact.getAllWords().sort(byWord), trie.getAllWords().sort(byWord));
+    for (const prefix of ['c', 'cat', 'caf', '😀', 'dog', 'x']) {
+        assert.deepEqual(compact.search(prefix, 3), trie.search(prefix, 3), prefix);
+    }
+    assert.equal(compact.getFrequency('caf😀'), 3);
+    assert.equal(compact.getFrequency('ca'), 0);
+});
+
+test('a damaged DAWG file is refused', () => {
+    const buffer = CompactDictionary.serialize([{ word: 'cat', frequency: 1 }]);
+    new Uint8Array(buffer)[0] = 0;
+
+    assert.throws(() => new CompactDictionary(buffer));
+    assert.throws(() => new CompactDictionary(new ArrayBuffer(3)));
+});
+
+// Small deterministic generator, so a failure can be replayed
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Short words over a tiny alphabet share plenty of prefixes to prune and split
+function randomWord(next) {
+    const alphabet = ['a', 'b', 'c', '😀'];
+    return Array.from({ length: 1 + Math.floor(next() * 5) },
+        () => alphabet[Math.floor(next() * alphabet.length)]).join('');
+}
+
+// Every node's maxFrequency must be the best frequency in its subtree
+function assertMaxFrequencies(node) {
+    let max = node.isEndOfWord ? node.frequency : 0;
+    for (const child of node.children.values()) {
+        max = Math.max(max, assertMaxFrequencies(child));
+    }
+    assert.equal(node.maxFrequency, max);
+    return max;
+}
+
+function sortedWords(dictionary) {
+    return dictionary.getAllWords().sort((a, b) => (a.word < b.word ? -1 : a.word > b.word ? 1 : 0));
+}
+
+for (const Dictionary of [Trie, RadixTree]) {
+    test(`${Dictionary.name}: deleting words leaves the same tree as never adding them`, () => {
+        const next = random(Dictionary === Trie ? 1 : 2);
+        for (let round = 0; round < 50; round++) {
+            const dictionary = new Dictionary();
+            const words = new Map();
+            for (let n = 0; n < 30; n++) {
+                const word = randomWord(next);
+                const frequency = 1 + Math.floor(next() * 20);
+                dictionary.insert(word, frequency);
+                words.set(word, (words.get(word) || 0) + frequency);
+            }
+            for (const word of Array.from(words.keys())) {
+                if (next() < 0.5) {
+                    assert.equal(dictionary.delete(word), true);
+                    words.delete(word);
+                }
+            }
+            assert.equal(dictionary.delete('zzz'), false);
+
+            const fresh = new Dictionary();
+            words.forEach((frequency, word) => fresh.insert(word, frequency));
+            assert.equal(dictionary.nodeCount, fresh.nodeCount, `round ${round}`);
+            assert.equal(dictionary.wordCount, words.size);
+            assert.deepEqual(sortedWords(dictionary), sortedWords(fresh));
+            if (Dictionary === RadixTree) {
+                assert.deepEqual(dictionary.structureCounts(), fresh.structureCounts());
+            }
+            assertMaxFrequencies(dictionary.root);
+        }
+    });
+
+    test(`${Dictionary.name}: setFrequency keeps subtree maxima right both ways`, () => {
+        const next = random(Dictionary === Trie ? 3 : 4);
+        const dictionary = new Dictionary();
+        WORDS.forEach(([word, frequency]) => dictionary.insert(word, frequency));
+
+        for (let n = 0; n < 200; n++) {
+            const [word] = WORDS[Math.floor(next() * WORDS.length)];
+            const frequency = 1 + Math.floor(next() * 30);
+            assert.equal(dictionary.setFrequency(word, frequency), true);
+            assert.equal(dictionary.getFrequency(word), frequency);
+            assertMaxFrequencies(dictionary.root);
+        }
+        assert.equal(dictionary.setFrequency('ca', 5), false);
+        assert.equal(dictionary.setFrequency('cat', 0), false);
+        assert.equal(dictionary.setFrequency('cat', 2.5), false);
+        assert.equal(dictionary.setFrequency('cat', NaN), false);
+    });
+
+    test(`${Dictionary.name}: topK matches sorting every match and slicing`, () => {
+        const next = random(Dictionary === Trie ? 5 : 6);
+        const dictionary = new Dictionary();
+        const words = new Map();
+        for (let n = 0; n < 200; n++) {
+            const word = randomWord(next);
+            // A small range, so there are ties to break
+            const frequency = 1 + Math.floor(next() * 8);
+            dictionary.insert(word, frequency);
+            words.set(word, (words.get(word) || 0) + frequency);
+        }
+
+        for (const prefix of ['a', 'b', 'ab', 'c😀', '😀', 'abc']) {
+            const matches = Array.from(words).filter(([word]) => word.startsWith(prefix));
+            const expected = matches.map(([, frequency]) => frequency).sort((a, b) => b - a);
+            for (const k of [1, 3, 10, 1000]) {
+                const results = dictionary.search(prefix, k);
+                assert.deepEqual(results.map(r => r.frequency), expected.slice(0, k), `${prefix} ${k}`);
+                results.forEach(r => assert.equal(words.get(r.word), r.frequency));
+                assert.equal(new Set(results.map(r => r.word)).size, results.length);
+            }
+        }
+    });
+}
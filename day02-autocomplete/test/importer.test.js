@@ -0,0 +1,87 @@
+// DictionaryImporter on in-memory files. Run with: node --test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Trie, DictionaryImporter } = require('../script.js');
+
+async function importText(parts, name) {
+    const trie = new Trie();
+    const report = await new DictionaryImporter(trie).importFile(new File(parts, name));
+    return { trie, report };
+}
+
+function rejectedLines(report) {
+    return report.rejected.map(r => [r.line, r.reason]);
+}
+
+test('CSV words may be quoted and a header on line 1 is skipped', async () => {
+    const { trie, report } = await importText([[
+        'word,frequency',
+        '"Hello, World",3',
+        '"say ""hi""",2',
+        'plain, 5',
+        'bare',
+        '"unterminated,1',
+        'a,b,c',
+        'x,2.5',
+        '"quoted"x,1',
+        'term,frequency'
+    ].join('\n')], 'words.csv');
+
+    assert.equal(report.format, 'csv');
+    assert.equal(report.entries, 4);
+    assert.equal(trie.getFrequency('hello, world'), 3);
+    assert.equal(trie.getFrequency('say "hi"'), 2);
+    assert.equal(trie.getFrequency('plain'), 5);
+    assert.equal(trie.getFrequency('bare'), 1);
+    assert.equal(trie.getFrequency('word'), 0);
+    assert.deepEqual(rejectedLines(report), [
+        [6, 'unterminated quote'],
+        [7, 'too many columns'],
+        [8, 'frequency is not a positive whole number'],
+        [9, 'expected a comma after the word'],
+        [10, 'frequency is not a positive whole number']
+    ]);
+});
+
+test('JSON entries without a word or a whole frequency are rejected', async () => {
+    const entries = [
+        { word: 'Cat', frequency: 2 }, 'dog', { frequency: 3 }, { word: 'owl', frequency: 0 },
+        { word: 'emu', frequency: 1.5 }, 7, null, { word: 'cat' }, { word: ' ' }
+    ];
+    // No extension, so the format comes from the leading "["
+    const { trie, report } = await importText([JSON.stringify(entries)], 'export');
+
+    assert.equal(report.format, 'json');
+    assert.deepEqual({ entries: report.entries, added: report.added, duplicates: report.duplicates },
+        { entries: 3, added: 2, duplicates: 1 });
+    assert.equal(trie.getFrequency('cat'), 3);
+    assert.equal(trie.getFrequency('dog'), 1);
+    assert.deepEqual(rejectedLines(report), [
+        [3, 'missing "word"'],
+        [4, 'frequency is not a positive whole number'],
+        [5, 'frequency is not a positive whole number'],
+        [6, 'missing "word"'],
+        [7, 'missing "word"'],
+        [9, 'empty word']
+    ]);
+
+    await assert.rejects(importText(['{"word": "cat"}'], 'one.json'), /JSON must be an array/);
+    await assert.rejects(importText(['[{"word": '], 'cut.json'), /^Error: Invalid JSON/);
+});
+
+test('lines split across stream chunks are joined back up', async () => {
+    // Each File part arrives as its own chunk; the emoji's UTF-8 bytes are split too
+    const emoji = new TextEncoder().encode('😀');
+    const { trie, report } = await importText([
+        'alpha\nbe', 'ta\r', '\ngam', 'ma\n', emoji.subarray(0, 2), emoji.subarray(2), 'x\n\n', 'last'
+    ], 'list.txt');
+
+    assert.equal(report.format, 'text');
+    assert.equal(report.rejectedCount, 0);
+    assert.deepEqual(trie.getAllWords().map(entry => entry.word).sort(), ['alpha', 'beta', 'gamma', 'last', '😀x']);
+
+    const csv = await importText(['one,', '4\n"two', ', too",', '5'], 'split.csv');
+    assert.equal(csv.trie.getFrequency('one'), 4);
+    assert.equal(csv.trie.getFrequency('two, too'), 5);
+    assert.equal(csv.report.rejectedCount, 0);
+});